@@ -0,0 +1,1032 @@
+/**
+ * @author Ravi Raushan
+ * @project Mock OMR Sheet - Grading Engine
+ * @date November 2025
+ * @description Marking, scoring and answer key parsing, with no DOM in sight. The page loads it
+ * as the OMRGrading global (script.js passes it the current sheet's setup), and the tests in
+ * tests/ load it with require() under Node.
+ */
+
+//
+// grading.js
+// Everything in here takes plain values and gives back plain values - responses and keys in,
+// result objects out. The sheet's setup is passed in as an object shaped like getConfig() in script.js:
+//   { totalQuestions, optionCount, questionTypes, correctMarks, wrongMarks, multiScheme, sections, questionNumbers }
+//
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.OMRGrading = factory();
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Every bubble letter we support. optionCount decides how many we actually use
+    const OPTION_LETTERS = ['A', 'B', 'C', 'D', 'E'];
+
+    // Biggest sheet we build. Only a page of rows is on screen at once, so this is about full-length
+    // mocks, not what the page can hold
+    const MAX_QUESTIONS = 500;
+
+    // JEE-style partial marking splits a question's marks into this many option shares (+1 each of +4),
+    // however many bubbles the sheet has - a key with more right options than that splits them finer
+    const PARTIAL_SHARES = 4;
+
+    // Sets/booklets a paper can come in (same questions, shuffled - so each set has its own key)
+    const SET_CODES = ['A', 'B', 'C', 'D'];
+
+    // "Set B", "b", "Booklet C" -> 'B'. Anything else is '' (no particular set)
+    function normalizeSetCode(value) {
+        const match = String(value ?? '').trim().toUpperCase().match(/^(?:(?:SET|BOOKLET|SERIES)\s*(?:CODE)?\s*[:-]?\s*)?([A-Z])$/);
+        return match && SET_CODES.includes(match[1]) ? match[1] : '';
+    }
+
+    // Fill in anything a setup leaves out with the same defaults as a fresh sheet
+    function withDefaults(setup = {}) {
+        return {
+            totalQuestions: setup.totalQuestions || 0,
+            optionCount: setup.optionCount || 4,
+            questionTypes: setup.questionTypes || {},
+            correctMarks: setup.correctMarks ?? null,
+            wrongMarks: setup.wrongMarks ?? null,
+            multiScheme: setup.multiScheme || 'partial',
+            sections: setup.sections || [],
+            questionNumbers: setup.questionNumbers || null,
+        };
+    }
+
+    // --- Sheet Setup ---
+
+    // Letters we use for bubbles, e.g. ['A', 'B', 'C', 'D'] for 4 options
+    function getOptions(optionCount = 4) {
+        return OPTION_LETTERS.slice(0, optionCount);
+    }
+
+    // Error message if a sheet can't have this many questions, else null
+    function checkQuestionCount(count) {
+        if (!Number.isInteger(count) || count < 1 || count > MAX_QUESTIONS) {
+            return `Please enter a number between 1 and ${MAX_QUESTIONS}.`;
+        }
+        return null;
+    }
+
+    // Turn "1-20 single, 21-25 multi, 26-30 numeric" into {1: 'single', ..., 21: 'multi', ...}
+    // Returns { error } with a friendly message if something doesn't make sense.
+    function parseQuestionTypes(text, count) {
+        const types = {};
+        for (const part of text.split(/[,;\n]+/)) {
+            const entry = part.trim();
+            if (!entry) continue;
+            const match = entry.match(/^(\d+)(?:\s*-\s*(\d+))?\s*[:=]?\s*(single|multi|numeric)$/i);
+            if (!match) return { error: `Couldn't understand question type "${entry}". Use something like "21-25 multi".` };
+            const from = parseInt(match[1], 10);
+            const to = match[2] ? parseInt(match[2], 10) : from;
+            if (from < 1 || from > to || to > count) return { error: `Question type range "${entry}" must be within 1-${count}.` };
+            for (let q = from; q <= to; q++) types[q] = match[3].toLowerCase();
+        }
+        return { types };
+    }
+
+    // Work out the "Question Types" setting from the answers: several letters = multi, a number = numeric.
+    // (A multiple-correct question whose key happens to be one letter looks single - say so in the file.)
+    function inferQuestionTypes(key, count) {
+        const typeOf = answer => {
+            if (isSpecialAnswer(answer)) return 'single';
+            const alternatives = answer.split('/');
+            if (alternatives.every(isNumericAnswer)) return 'numeric';
+            return alternatives.some(alternative => alternative.length > 1) ? 'multi' : 'single';
+        };
+        return formatQuestionTypes(count, i => typeOf(key[i]));
+    }
+
+    // The "Question Types" text for a sheet, given each question's type: e.g. "21-25 multi, 26 numeric"
+    function formatQuestionTypes(count, typeOf) {
+        const parts = [];
+        let from = 1;
+        for (let i = 1; i <= count; i++) {
+            const type = typeOf(i);
+            if (i < count && typeOf(i + 1) === type) continue;
+            if (type !== 'single') parts.push(from === i ? `${i} ${type}` : `${from}-${i} ${type}`);
+            from = i + 1;
+        }
+        return parts.join(', ');
+    }
+
+    // [1, 2, 3, 7, 9, 10] -> "1-3, 7, 9-10"
+    function formatQuestionList(numbers) {
+        const ranges = [];
+        numbers.forEach(n => {
+            const last = ranges[ranges.length - 1];
+            if (last && n === last[1] + 1) last[1] = n;
+            else ranges.push([n, n]);
+        });
+        return ranges.map(([from, to]) => (from === to ? `${from}` : `${from}-${to}`)).join(', ');
+    }
+
+    // --- Key Answers ---
+
+    // Clean up one answer from a key into the form we store:
+    //   'A' (single), 'AC' (multiple correct), '12' (numeric), '1.5..2.5' (numeric range),
+    //   'A/C' (either answer accepted), 'BONUS' or 'DROPPED'
+    // Returns null if it isn't a valid answer (including letters past the sheet's options).
+    function normalizeKeyAnswer(raw, optionCount = 4) {
+        if (raw === undefined || raw === null) return null;
+        const text = String(raw).trim().toUpperCase();
+        const number = '-?\\d+(?:\\.\\d+)?';
+
+        // Revised keys: bonus (marks for anyone who answered) or dropped (marks for everyone)
+        if (text === 'BONUS') return 'BONUS';
+        if (/^(DROPPED|DROP|DELETED)$/.test(text)) return 'DROPPED';
+
+        // More than one accepted answer: "A/C" or "A or C"
+        const alternatives = text.split(/\s*\/\s*|\s+OR\s+/);
+        if (alternatives.length > 1) {
+            const normalized = alternatives.map(alternative => normalizeKeyAnswer(alternative, optionCount));
+            if (normalized.some(answer => !answer || isSpecialAnswer(answer) || answer.includes('/'))) return null;
+            return Array.from(new Set(normalized)).join('/');
+        }
+
+        if (new RegExp(`^${number}$`).test(text)) return String(parseFloat(text));
+
+        // Ranges can be written "1.5..2.5", "1.5 to 2.5", "1.5~2.5" or "1.5-2.5"
+        const range = text.match(new RegExp(`^(${number})\\s*(?:\\.\\.|~|TO|-)\\s*(${number})$`));
+        if (range) {
+            const low = Math.min(parseFloat(range[1]), parseFloat(range[2]));
+            const high = Math.max(parseFloat(range[1]), parseFloat(range[2]));
+            return `${low}..${high}`;
+        }
+
+        // Letters, allowing "A, C" or "A & C" for multiple correct
+        const letters = text.replace(/[\s,&+]/g, '');
+        if (/^[A-Z]+$/.test(letters) && Array.from(letters).every(letter => getOptions(optionCount).includes(letter))) {
+            return Array.from(new Set(letters)).sort().join('');
+        }
+        return null;
+    }
+
+    function isNumericAnswer(answer) {
+        return /^-?\d/.test(answer);
+    }
+
+    function isSpecialAnswer(answer) {
+        return answer === 'BONUS' || answer === 'DROPPED';
+    }
+
+    // Every bubble that's part of some accepted answer, e.g. 'A/CD' -> 'ACD' (none for numeric/bonus)
+    function getKeyLetters(answer) {
+        if (!answer || isSpecialAnswer(answer)) return '';
+        return answer.split('/').filter(alternative => !isNumericAnswer(alternative)).join('');
+    }
+
+    // Pretty version of a key answer for the sheet and PDF ('1.5..2.5' -> '1.5 to 2.5', 'AC' -> 'A, C', 'A/B' -> 'A or B')
+    function formatKeyAnswer(answer) {
+        if (!answer) return '-';
+        if (answer === 'BONUS') return 'Bonus';
+        if (answer === 'DROPPED') return 'Dropped';
+        return answer.split('/').map(alternative => {
+            if (isNumericAnswer(alternative)) return alternative.replace('..', ' to ');
+            return Array.from(alternative).join(', ');
+        }).join(' or ');
+    }
+
+    // How a special key entry was scored, for the sheet and PDF, e.g. "Bonus: +4"
+    function getKeyNote(answer, marks) {
+        const sign = marks > 0 ? '+' : '';
+        if (answer === 'BONUS') return marks > 0 ? `Bonus: +${marks} for answering` : 'Bonus: not answered, no marks';
+        if (answer === 'DROPPED') return `Dropped: ${sign}${marks} to everyone`;
+        if (answer && answer.includes('/')) return `Accepted: ${formatKeyAnswer(answer)}`;
+        return null;
+    }
+
+    // An answer plus an optional status/extra column: BONUS / DROPPED wins, anything else is another accepted answer
+    function combineKeyAnswer(rawAnswer, rawExtra, optionCount = 4) {
+        const answer = normalizeKeyAnswer(rawAnswer, optionCount);
+        const extra = normalizeKeyAnswer(rawExtra, optionCount);
+        if (extra && isSpecialAnswer(extra)) return extra;
+        if (extra && answer && !isSpecialAnswer(answer)) return normalizeKeyAnswer(`${answer}/${extra}`, optionCount);
+        return answer;
+    }
+
+    // A student's response from a spreadsheet cell or typed text, in the same form the sheet gives:
+    // 'A', 'AC', '12.5' or null
+    function normalizeResponse(raw, type = 'single', optionCount = 4) {
+        const text = String(raw === undefined || raw === null ? '' : raw).trim().toUpperCase();
+        if (!text || text === '-') return null;
+        if (type === 'numeric') return isNaN(Number(text)) ? null : text;
+        // Two letters on a single-answer question stay as they are - a double mark is wrong, like on paper
+        const letters = text.replace(/[\s,&+]/g, '');
+        if (!Array.from(letters).every(letter => getOptions(optionCount).includes(letter))) return null;
+        return Array.from(new Set(letters)).sort().join('');
+    }
+
+    // --- Answer Key Formats ---
+    // Every parser gives a list of entries: { q, raw, answer } (answer is null if it wasn't valid),
+    // plus an explanation when the file has one. validateKeyEntries() then checks them against the sheet.
+
+    // A run of answers: "ABCD..." (one letter per question), or separated by commas/spaces
+    // when there are multiple-correct or numeric answers, e.g. "A, AC, 12, 1.5..2.5"
+    function splitKeySequence(text) {
+        const trimmed = text.trim();
+        return /[\s,;]/.test(trimmed) ? trimmed.split(/[\s,;]+/).filter(Boolean) : Array.from(trimmed);
+    }
+
+    // Manual key, as typed in the box. Returns { key } or { error }.
+    function parseManualKey(text, count, optionCount = 4) {
+        const tokens = splitKeySequence(text);
+        if (tokens.length !== count) {
+            return { error: `Manual key has ${tokens.length} answers, but there are ${count} questions.` };
+        }
+        const key = {};
+        for (let i = 0; i < tokens.length; i++) {
+            const answer = normalizeKeyAnswer(tokens[i], optionCount);
+            if (!answer) return { error: `Answer ${i + 1} in the manual key ("${tokens[i]}") isn't a valid option.` };
+            key[i + 1] = answer;
+        }
+        return { key };
+    }
+
+    // Excel/CSV rows: question number, answer, optional status or second answer, optional explanation
+    function parseAnswerKeyFromExcel(rows, optionCount = 4) {
+        const entries = [];
+        rows.forEach(row => {
+            const qNum = parseInt(row[0], 10);
+            if (isNaN(qNum)) return; // Header or blank row
+            const raw = [row[1], row[2]].filter(cell => cell !== undefined && cell !== null && String(cell).trim() !== '').join(' | ');
+            const entry = { q: qNum, raw, answer: combineKeyAnswer(row[1], row[2], optionCount) };
+            if (row[3] !== undefined && row[3] !== null && String(row[3]).trim()) entry.explanation = String(row[3]).trim();
+            entries.push(entry);
+        });
+        return entries;
+    }
+
+    // Text with answers running along the lines, e.g. "1. A  2. B  3. C" (also what PDFs turn into).
+    // Each line is read on its own (see readKeyLine), so nothing pairs up across lines.
+    // Label lines like "Test: Mock 2" carry the setup, not answers (see parseKeyMetadataFromLines).
+    function parseAnswerKeyFromText(text, optionCount = 4) {
+        const lines = text.split(/\r?\n/).filter(line => !matchKeyMetadataLine(line));
+        return mergeKeyEntries(lines.flatMap(line => readKeyLine(line, optionCount)));
+    }
+
+    // Pasted text or .txt: one "1. A" / "1,A" per line, else the same patterns as PDFs, else just a run of answers
+    function parseAnswerKeyFromPlainText(text, optionCount = 4) {
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+        // The number and answer need something between them when the answer starts with a digit ("12" isn't Q1 = 2)
+        const linePattern = /^(?:Q(?:uestion)?\s*\.?\s*)?(\d+)(?:\s*([:.)=,\t-])\s*|\s+|(?=\D))(.+)$/i;
+        const matched = lines.map(line => line.match(linePattern)).filter(Boolean);
+        // Most lines look like "number answer" - go line by line (headers and notes are skipped)
+        if (matched.length > 0 && matched.length >= lines.length / 2) {
+            return matched.map(([, number, separator, answerText]) => ({
+                q: parseInt(number, 10),
+                raw: answerText,
+                answer: readPlainTextAnswer(answerText, separator === ',' || separator === '\t', optionCount),
+            }));
+        }
+
+        const found = parseAnswerKeyFromText(text, optionCount);
+        if (found.length > 0) return found;
+
+        // "ABCD..." or "A, AC, 12" like the manual key box
+        return splitKeySequence(lines.join(' ')).map((token, index) => ({ q: index + 1, raw: token, answer: normalizeKeyAnswer(token, optionCount) }));
+    }
+
+    // "1,A,C" or "4<tab>A<tab>BONUS" are columns (number, answer, second answer or status) like a CSV row.
+    // After "1:" or "1." it's one answer - "A, C" is multiple correct, as in "4. (a, c)" - though a status can follow it
+    function readPlainTextAnswer(text, columns, optionCount) {
+        const parts = text.split(/\s*[,\t]\s*/);
+        if (columns) return combineKeyAnswer(parts[0], parts[1], optionCount);
+        const status = parts.length > 1 ? normalizeKeyAnswer(parts[parts.length - 1], optionCount) : null;
+        if (status && isSpecialAnswer(status)) return combineKeyAnswer(parts.slice(0, -1).join(', '), status, optionCount);
+        return normalizeKeyAnswer(text, optionCount);
+    }
+
+    // JSON from a question bank. We understand:
+    //   {"1": "A", "2": "C"}, ["A", "C", ...], [{"q": 1, "answer": "A", "explanation": "..."}, ...]
+    //   and any of those wrapped as {"answers": ...} / {"answerKey": ...} / {"key": ...},
+    //   optionally next to {"explanations": {"1": "..."}}
+    function parseAnswerKeyFromJSON(data, optionCount = 4) {
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const source = isObject(data) ? (data.answers || data.answerKey || data.key || data) : data;
+        const explanations = isObject(data) && isObject(data.explanations) ? data.explanations : {};
+        const withExplanation = (entry, text) => {
+            const explanation = text ?? explanations[entry.q];
+            if (explanation !== undefined && explanation !== null && String(explanation).trim()) entry.explanation = String(explanation).trim();
+            return entry;
+        };
+
+        if (Array.isArray(source)) {
+            return source.map((item, index) => {
+                if (isObject(item)) {
+                    const q = parseInt(item.q ?? item.question ?? item.number ?? item.no ?? index + 1, 10);
+                    const raw = item.answer ?? item.correct ?? item.key;
+                    return withExplanation({ q, raw: raw === undefined ? '' : String(raw), answer: combineKeyAnswer(raw, item.status, optionCount) }, item.explanation ?? item.solution);
+                }
+                return withExplanation({ q: index + 1, raw: String(item), answer: normalizeKeyAnswer(item, optionCount) });
+            });
+        }
+        if (isObject(source)) {
+            return Object.entries(source)
+                .filter(([q]) => q !== 'explanations')
+                .map(([q, raw]) => withExplanation({ q: parseInt(q, 10), raw: String(raw), answer: normalizeKeyAnswer(raw, optionCount) }));
+        }
+        return [];
+    }
+
+    // Check parsed entries against a sheet of `count` questions: out of range, invalid answers,
+    // duplicates (first one wins) and gaps. Entries the user left out in the preview are skipped.
+    // Returns { key, explanations, rows, missing }.
+    function validateKeyEntries(entries, count) {
+        const key = {};
+        const explanations = {};
+        const rows = entries.map(entry => {
+            let problem = null;
+            if (entry.skipped) {
+                problem = 'Left out';
+            } else if (!Number.isInteger(entry.q) || entry.q < 1 || entry.q > count) {
+                problem = `Out of range (sheet has ${count})`;
+            } else if (!entry.answer) {
+                problem = 'Invalid answer';
+            } else if (key[entry.q]) {
+                problem = 'Duplicate (first one kept)';
+            } else {
+                key[entry.q] = entry.answer;
+                if (entry.explanation) explanations[entry.q] = entry.explanation;
+            }
+            return { ...entry, problem };
+        });
+        const missing = [];
+        for (let i = 1; i <= count; i++) {
+            if (!key[i]) missing.push(i);
+        }
+        return { key, explanations, rows, missing };
+    }
+
+    // --- PDF & Text Keys ---
+    // Keys from coaching institutes come as tables in several columns, in notations like "1. A",
+    // "Q1 (b)", "2) c" or "3 - [a]", next to page numbers and years that look a lot like answers.
+    // Every answer we read gets a confidence: 1 (clear), 0.5 (could be a word) or 0 (the question
+    // was found with different answers). Doubtful ones carry a note and the answers to pick from.
+
+    // Numbers that are never question numbers: "Page 2 of 10", "Set 2", "Time: 3 hours", "2 / 10"
+    // (but "26: 12/13" is two accepted numeric answers)
+    const NOT_QUESTION_NUMBERS = [
+        /\b(?:page|pg|section|set|paper|code|booklet|class|version|part|unit|chapter|roll|time|duration|marks?|total)\b\s*(?:no\.?)?\s*[:.#-]?\s*\d+(?:\s*(?:of|\/)\s*\d+)?/gi,
+        /(?<![:=]\s*-?[\d.]*)\b\d+\s*(?:of|\/)\s*\d+\b/gi,
+    ];
+
+    // One question number and its answer. The groups are:
+    //   1 question number ("1", "Q1", "Q.1", "Question 1" - never part of a longer number like a year or 2.1)
+    //   2 separator (. : ) = -)
+    //   3 BONUS / DROPPED       4 "(b)", "[a, c]"       5 "b)"
+    //   6 capitals: "B", "AC", "A/B", "A or B"          7 a lowercase letter: "b"
+    //   8 a number or range: "12.5", "1.5 to 2.5", "12/13" (only after ':' or '=')
+    function getKeyLinePattern(optionCount) {
+        const upper = getOptions(optionCount).join('');
+        const any = upper + upper.toLowerCase();
+        const letters = `[${upper}]{1,${optionCount}}`;
+        const listed = `[${any}](?:\\s*[,&]\\s*[${any}])*`;
+        const number = '-?\\d+(?:\\.\\d+)?';
+        const numeric = `${number}(?:\\s*(?:\\.\\.|to)\\s*${number})?`;
+        return new RegExp([
+            `(?<![\\w.])(?:(?:Q|Ques|Question)\\s*\\.?\\s*)?(\\d{1,3})(?!\\d)`,
+            `\\s*([:.)=-]?)\\s*`,
+            '(?:',
+            '(BONUS|Bonus|bonus|DROPPED|Dropped|dropped|DELETED|Deleted|deleted)\\b',
+            `|[(\\[]\\s*(${listed})\\s*[)\\]]`,
+            `|([${any}])\\)`,
+            `|(${letters}(?:\\s*(?:\\/|or)\\s*${letters})*)(?![\\w(])`,
+            `|([${upper.toLowerCase()}])(?![\\w(])`,
+            `|(${numeric}(?:\\s*(?:\\/|or)\\s*${numeric})*)(?![\\d.])`,
+            ')',
+        ].join(''), 'g');
+    }
+
+    // Every question/answer pair on one line of text
+    function readKeyLine(text, optionCount = 4) {
+        const line = NOT_QUESTION_NUMBERS.reduce((cleaned, pattern) => cleaned.replace(pattern, ' '), text);
+        const regex = getKeyLinePattern(optionCount);
+        const entries = [];
+        let match;
+        while ((match = regex.exec(line)) !== null) {
+            const [found, q, separator, special, listed, closed, letters, lowercase, number] = match;
+            // Numbers need a ':' or '=' so "90 questions, 3 hours" doesn't turn into answers
+            if (number !== undefined && separator !== ':' && separator !== '=') {
+                regex.lastIndex = match.index + 1;
+                continue;
+            }
+            const raw = special || listed || closed || letters || lowercase || number;
+            const entry = { q: parseInt(q, 10), raw, answer: normalizeKeyAnswer(raw, optionCount), confidence: 1 };
+
+            // "1 B" is how tables look, but with nothing in between, lowercase or a run of capitals
+            // could just as well be a word ("5 ABC Coaching")
+            const marked = separator || listed || closed || /^Q/.test(found);
+            if (!marked && lowercase) {
+                entry.confidence = 0.5;
+                entry.note = 'Lowercase letter right after a number';
+            } else if (!marked && letters && /^[A-Z]{2,}$/.test(letters)) {
+                entry.confidence = 0.5;
+                entry.note = 'Could be a word, not an answer';
+            }
+            entries.push(entry);
+        }
+        return entries;
+    }
+
+    // The same question found more than once: the same answer again is just a repeat (a key printed
+    // twice), a different one is left for the user to pick. Sorted by question number.
+    function mergeKeyEntries(entries) {
+        const byQuestion = new Map();
+        entries.forEach(entry => {
+            const first = byQuestion.get(entry.q);
+            if (!first) {
+                byQuestion.set(entry.q, { ...entry });
+            } else if (entry.answer === first.answer) {
+                // Read the same way twice - as sure as the surer reading
+                if (entry.confidence > first.confidence) {
+                    first.confidence = entry.confidence;
+                    delete first.note;
+                }
+            } else {
+                first.candidates = Array.from(new Set([...(first.candidates || [first.answer]), entry.answer])).filter(Boolean);
+                first.answer = first.answer || entry.answer;
+                first.raw = `${first.raw} | ${entry.raw}`;
+                first.confidence = 0;
+                first.note = `Found different answers: ${first.candidates.map(formatKeyAnswer).join(' or ')}`;
+            }
+        });
+        const merged = Array.from(byQuestion.values()).sort((a, b) => a.q - b.q);
+        merged.forEach(entry => {
+            if (entry.confidence < 1 && !entry.candidates && entry.answer) entry.candidates = [entry.answer];
+        });
+        return merged;
+    }
+
+    // PDF.js text: pages of pieces { str, x, y, width, height } (PDF units, y going up). We rebuild the
+    // lines from the positions - so multi-column tables read across, row by row - then read them like
+    // text. A table with question numbers in one row and the answers in the row below is paired by column.
+    function parseAnswerKeyFromPDF(pages, optionCount = 4) {
+        const entries = [];
+        pages.forEach(items => {
+            const lines = groupPDFLines(items);
+            for (let k = 0; k < lines.length; k++) {
+                if (matchKeyMetadataLine(lines[k].text)) continue;
+                const pairs = k + 1 < lines.length ? readPDFColumnTable(lines[k], lines[k + 1], optionCount) : null;
+                if (pairs) {
+                    entries.push(...pairs);
+                    k++; // The answer row is used up too
+                } else {
+                    entries.push(...readKeyLine(lines[k].text, optionCount));
+                }
+            }
+        });
+        return mergeKeyEntries(entries);
+    }
+
+    // Lines of a page, top to bottom: { text, words: [{ text, x }] } with x the middle of each word
+    function groupPDFLines(items) {
+        const rows = [];
+        items.filter(item => item.str.trim())
+            .sort((a, b) => b.y - a.y)
+            .forEach(item => {
+                // Same line if the baselines are within half a letter of each other (tables are rarely level)
+                const row = rows[rows.length - 1];
+                if (row && Math.abs(row.y - item.y) <= (item.height || 10) / 2) row.items.push(item);
+                else rows.push({ y: item.y, items: [item] });
+            });
+
+        return rows.map(row => {
+            const words = [];
+            let end = null;
+            row.items.sort((a, b) => a.x - b.x).forEach(item => {
+                // Pieces that touch belong together ("1" + "2" is 12, not 1 and 2)
+                let joined = end !== null && item.x - end < (item.height || 10) * 0.15 && !/^\s/.test(item.str);
+                const perChar = (item.width || 0) / item.str.length;
+                for (const part of item.str.matchAll(/\S+/g)) {
+                    const start = item.x + part.index * perChar;
+                    const stop = start + part[0].length * perChar;
+                    const last = words[words.length - 1];
+                    if (joined && last) {
+                        last.text += part[0];
+                        last.stop = stop;
+                    } else {
+                        words.push({ text: part[0], start, stop });
+                    }
+                    joined = false;
+                }
+                end = item.x + (item.width || 0);
+                if (/\s$/.test(item.str)) end = -Infinity;
+            });
+            return {
+                text: words.map(word => word.text).join(' '),
+                words: words.map(word => ({ text: word.text, x: (word.start + word.stop) / 2 })),
+            };
+        });
+    }
+
+    // "Q.No  1  2  3" over "Ans  B  (c)  A": each number gets the answer below it.
+    // Returns the entries, or null if the two lines aren't a table like that.
+    function readPDFColumnTable(numberRow, answerRow, optionCount) {
+        const firstNumber = numberRow.words.findIndex(word => /^\d{1,3}$/.test(word.text));
+        if (firstNumber < 0 || firstNumber > 2) return null; // At most a label like "Q. No." before the numbers
+        const numbers = numberRow.words.slice(firstNumber);
+        if (numbers.length < 3 || !numbers.every(word => /^\d{1,3}$/.test(word.text))) return null;
+
+        // Half the distance between columns - an answer further away than that is in another column
+        const gaps = numbers.slice(1).map((word, k) => word.x - numbers[k].x).sort((a, b) => a - b);
+        const reach = gaps[Math.floor(gaps.length / 2)] / 2;
+        const entries = [];
+        numbers.forEach(word => {
+            const below = answerRow.words.reduce((best, other) => (
+                !best || Math.abs(other.x - word.x) < Math.abs(best.x - word.x) ? other : best
+            ), null);
+            if (!below || Math.abs(below.x - word.x) > reach) return;
+            const answer = normalizeKeyAnswer(below.text.replace(/^[(\[]|[)\].]$/g, ''), optionCount);
+            if (answer) entries.push({ q: parseInt(word.text, 10), raw: below.text, answer, confidence: 1 });
+        });
+        return entries.length >= numbers.length / 2 ? entries : null;
+    }
+
+    // How sure we are of a parsed key overall (0-100) and which entries need a look.
+    // Null if the parser doesn't rate its answers (only the PDF and text readers do).
+    function getKeyConfidence(entries) {
+        const rated = entries.filter(entry => entry.confidence !== undefined);
+        if (rated.length === 0) return null;
+        const total = rated.reduce((sum, entry) => sum + entry.confidence, 0);
+        return { percent: Math.round(total / rated.length * 100), unsure: rated.filter(entry => entry.confidence < 1) };
+    }
+
+    // --- Key Metadata ---
+    // A key file can also carry the test setup, so "Start from Answer Key" can build the sheet.
+    // In Excel/CSV/text it's label rows like "Correct Marks: 4", "Wrong Marks, -1", "Time Limit: 180",
+    // "Options: 5", "Question Types: 21-25 multi" or "Section: Physics, 1-30, 4, -1" (name, range, marks, attempt any).
+    // "Test Code: PHY-M3" and "Set: B" say which paper (and which set of it) the key belongs to.
+    const KEY_METADATA_LABELS = [
+        { field: 'testName', pattern: /^(test|test name|title)$/ },
+        { field: 'testCode', pattern: /^(test code|test id|paper code)$/ },
+        { field: 'setCode', pattern: /^(set|set code|booklet|booklet code|series)$/ },
+        { field: 'correctMarks', pattern: /^(correct|correct marks|marks for correct|positive marks)$/ },
+        { field: 'wrongMarks', pattern: /^(wrong|wrong marks|marks for wrong|negative marks|negative)$/ },
+        { field: 'duration', pattern: /^(time|time limit|duration)( \(?(min|mins|minutes)\)?)?$/ },
+        { field: 'optionCount', pattern: /^(options|options per question)$/ },
+        { field: 'questionTypes', pattern: /^question types$/ },
+        { field: 'multiScheme', pattern: /^(multiple-correct marking|multi scheme)$/ },
+        { field: 'section', pattern: /^section$/ },
+    ];
+
+    // Split "Correct Marks: 4" into its field and value (null if it isn't a metadata line)
+    function matchKeyMetadataLine(line) {
+        const match = String(line).trim().match(/^([A-Za-z][A-Za-z ()-]*?)\s*[:=,\t]\s*(.+)$/);
+        if (!match) return null;
+        const label = KEY_METADATA_LABELS.find(entry => entry.pattern.test(match[1].toLowerCase()));
+        return label ? { field: label.field, value: match[2].trim() } : null;
+    }
+
+    function parseKeyMetadataFromLines(lines) {
+        const meta = {};
+        lines.forEach(line => {
+            const found = matchKeyMetadataLine(line);
+            if (!found) return;
+            if (found.field === 'section') {
+                const section = parseSectionMetadata(found.value);
+                if (section) meta.sections = (meta.sections || []).concat(section);
+            } else if (['correctMarks', 'wrongMarks', 'duration', 'optionCount'].includes(found.field)) {
+                const number = parseFloat(found.value);
+                if (!isNaN(number)) meta[found.field] = number;
+            } else if (found.field === 'multiScheme') {
+                meta.multiScheme = /all|nothing/i.test(found.value) ? 'all' : 'partial';
+            } else if (found.field === 'setCode') {
+                const set = normalizeSetCode(found.value);
+                if (set) meta.setCode = set;
+            } else {
+                meta[found.field] = found.value;
+            }
+        });
+        return meta;
+    }
+
+    // Spreadsheet rows: anything not starting with a question number might be a label row
+    function parseKeyMetadataFromRows(rows) {
+        const lines = rows
+            .filter(row => row.length > 0 && isNaN(parseInt(row[0], 10)))
+            .map(row => row.filter(cell => cell !== undefined && cell !== null && String(cell).trim() !== '').join(', '));
+        return parseKeyMetadataFromLines(lines);
+    }
+
+    // "Physics, 1-30, 4, -1, 25" -> { name, from, to, correctMarks, wrongMarks, attemptLimit }
+    function parseSectionMetadata(value) {
+        const match = value.match(/^(.*?)[\s,\t]*(\d+)\s*-\s*(\d+)\s*(.*)$/);
+        if (!match) return null;
+        const numbers = match[4].split(/[\s,\t]+/).filter(Boolean).map(parseFloat);
+        const optional = index => (numbers[index] === undefined || isNaN(numbers[index]) ? null : numbers[index]);
+        return {
+            name: match[1].replace(/[,\t]/g, ' ').trim(),
+            from: parseInt(match[2], 10),
+            to: parseInt(match[3], 10),
+            correctMarks: optional(0),
+            wrongMarks: optional(1),
+            attemptLimit: optional(2),
+        };
+    }
+
+    // Pasted/.txt keys: drop the label lines so they aren't read as answers
+    function stripKeyMetadata(text) {
+        return text.split(/\r?\n/).filter(line => !matchKeyMetadataLine(line)).join('\n');
+    }
+
+    // JSON keys can have the setup right next to the answers:
+    //   { "answers": {...}, "correctMarks": 4, "wrongMarks": -1, "duration": 180, "optionCount": 4,
+    //     "questionTypes": "21-25 multi", "sections": [{ "name": "Physics", "from": 1, "to": 30 }],
+    //     "testCode": "PHY-M3", "setCode": "B" }
+    function parseKeyMetadataFromJSON(data) {
+        if (data === null || typeof data !== 'object' || Array.isArray(data)) return {};
+        const marking = data.marking || {};
+        const number = value => (value === undefined || value === null || isNaN(parseFloat(value)) ? undefined : parseFloat(value));
+        const meta = {
+            testName: data.testName || data.title,
+            testCode: data.testCode,
+            setCode: normalizeSetCode(data.setCode ?? data.set) || undefined,
+            correctMarks: number(data.correctMarks ?? marking.correct),
+            wrongMarks: number(data.wrongMarks ?? marking.wrong),
+            duration: number(data.duration),
+            optionCount: number(data.optionCount),
+            questionTypes: data.questionTypes,
+            multiScheme: data.multiScheme,
+        };
+        if (Array.isArray(data.sections)) {
+            meta.sections = data.sections.map(section => ({
+                name: section.name || '',
+                from: parseInt(section.from, 10),
+                to: parseInt(section.to, 10),
+                correctMarks: number(section.correctMarks ?? section.correct) ?? null,
+                wrongMarks: number(section.wrongMarks ?? section.wrong) ?? null,
+                attemptLimit: number(section.attemptLimit) ?? null,
+            }));
+        }
+        Object.keys(meta).forEach(field => meta[field] === undefined && delete meta[field]);
+        return meta;
+    }
+
+    // PDF keys: the label lines are read from the page like any other text
+    function parseKeyMetadataFromPDF(pages) {
+        return parseKeyMetadataFromLines(pages.flatMap(items => groupPDFLines(items).map(line => line.text)));
+    }
+
+    // --- Writing Keys ---
+    // Keys made in the app are saved in the same formats the parsers above read, so they load straight
+    // back in (as a key to check with, or to start from). meta is the setup that goes with the key:
+    // { testName, testCode, setCode, correctMarks, wrongMarks, duration, optionCount, questionTypes, multiScheme, sections }
+
+    // The setup as label/value pairs, e.g. ['Correct Marks', 4] - the labels parseKeyMetadataFromLines knows
+    function formatKeyMetadata(meta = {}) {
+        const given = value => value !== undefined && value !== null && value !== '';
+        const fields = [
+            ['Test', meta.testName],
+            ['Test Code', meta.testCode],
+            ['Set', meta.setCode],
+            ['Correct Marks', meta.correctMarks],
+            ['Wrong Marks', meta.wrongMarks],
+            ['Time Limit', meta.duration],
+            ['Options', meta.optionCount],
+            ['Question Types', meta.questionTypes],
+            ['Multiple-correct Marking', meta.multiScheme && (meta.multiScheme === 'all' ? 'all or nothing' : 'partial')],
+        ].filter(([, value]) => given(value));
+        (meta.sections || []).forEach(section => {
+            // Marks and the attempt limit go by position, so a gap in the middle is written as '-'
+            const numbers = [section.correctMarks, section.wrongMarks, section.attemptLimit];
+            while (numbers.length > 0 && !given(numbers[numbers.length - 1])) numbers.pop();
+            const parts = [section.name, `${section.from}-${section.to}`, ...numbers.map(value => (given(value) ? value : '-'))];
+            fields.push(['Section', parts.filter(given).join(', ')]);
+        });
+        return fields;
+    }
+
+    function sortedKeyQuestions(key) {
+        return Object.keys(key).map(Number).sort((a, b) => a - b);
+    }
+
+    // Excel/CSV: the setup rows, a header, then one row per question (see parseAnswerKeyFromExcel).
+    // Bonus/dropped go in the status column, explanations in the last one.
+    function formatKeyAsRows(key, explanations = {}, meta = {}) {
+        const rows = formatKeyMetadata(meta);
+        rows.push(['Question', 'Answer', 'Status', 'Explanation']);
+        sortedKeyQuestions(key).forEach(q => {
+            const special = isSpecialAnswer(key[q]);
+            rows.push([q, special ? '' : key[q], special ? key[q] : '', explanations[q] || '']);
+        });
+        return rows;
+    }
+
+    // Text, and what's printed on a PDF key: the setup lines, then "1: A" per question (the ':' is what lets
+    // numeric answers through in readKeyLine). Plain text has nowhere for explanations.
+    function formatKeyAsText(key, meta = {}) {
+        const lines = formatKeyMetadata(meta).map(([label, value]) => `${label}: ${value}`);
+        return lines.concat(sortedKeyQuestions(key).map(q => `${q}: ${key[q]}`)).join('\n');
+    }
+
+    // JSON: the setup fields parseKeyMetadataFromJSON reads, next to "answers" and "explanations"
+    function formatKeyAsJSON(key, explanations = {}, meta = {}) {
+        const data = {};
+        ['testName', 'testCode', 'setCode', 'correctMarks', 'wrongMarks', 'duration', 'optionCount', 'questionTypes', 'multiScheme'].forEach(field => {
+            if (meta[field] !== undefined && meta[field] !== null && meta[field] !== '') data[field] = meta[field];
+        });
+        if (meta.sections && meta.sections.length > 0) data.sections = meta.sections;
+        data.answers = {};
+        sortedKeyQuestions(key).forEach(q => { data.answers[q] = key[q]; });
+        if (Object.keys(explanations).length > 0) data.explanations = { ...explanations };
+        return data;
+    }
+
+    // --- Marking ---
+
+    function getSection(i, setup) {
+        return withDefaults(setup).sections.find(section => i >= section.from && i <= section.to) || null;
+    }
+
+    // Marks for a question: its section's, falling back to the global marks
+    function getMarkingScheme(i, setup) {
+        const { correctMarks, wrongMarks } = withDefaults(setup);
+        const section = getSection(i, setup);
+        return {
+            correct: section && section.correctMarks !== null ? section.correctMarks : correctMarks,
+            wrong: section && section.wrongMarks !== null ? section.wrongMarks : wrongMarks,
+        };
+    }
+
+    function hasMarkingScheme(setup) {
+        const { correctMarks, sections } = withDefaults(setup);
+        return correctMarks !== null || sections.some(section => section.correctMarks !== null);
+    }
+
+    // The sections as lists of questions. Questions outside every section go in an "Other Questions" group.
+    // With no sections at all, everything is one group. Labels use the original question numbers.
+    function getSectionGroups(setup) {
+        const { totalQuestions, sections, questionNumbers } = withDefaults(setup);
+        const numberOf = i => (questionNumbers ? questionNumbers[i - 1] : i);
+        const groups = sections.map(section => ({
+            name: section.name,
+            label: section.from === section.to ? `Q${numberOf(section.from)}` : `Q${numberOf(section.from)}-${numberOf(section.to)}`,
+            attemptLimit: section.attemptLimit,
+            questions: Array.from({ length: section.to - section.from + 1 }, (_, k) => section.from + k),
+        }));
+        const leftover = [];
+        for (let i = 1; i <= totalQuestions; i++) {
+            if (!getSection(i, setup)) leftover.push(i);
+        }
+        if (leftover.length > 0) {
+            groups.push({ name: sections.length > 0 ? 'Other Questions' : 'All Questions', label: `${leftover.length} Qs`, attemptLimit: null, questions: leftover });
+        }
+        return groups;
+    }
+
+    // Compare one response with its key answer, using the marks from getMarkingScheme().
+    // Returns { status, marks } where status is 'correct', 'partial', 'incorrect', 'unanswered'
+    // or 'bonus' (marks given because the question was bonus/dropped).
+    function evaluateAnswer(response, keyAnswer, scheme, setup) {
+        const positive = scheme.correct !== null ? scheme.correct : 1;
+        const negative = scheme.wrong || 0;
+        const correctResult = { status: 'correct', marks: positive };
+        const incorrectResult = { status: 'incorrect', marks: negative };
+
+        // Dropped questions give full marks to everyone, answered or not
+        if (keyAnswer === 'DROPPED') return { status: 'bonus', marks: positive };
+        if (!response) return { status: 'unanswered', marks: 0 };
+        if (!keyAnswer) return incorrectResult;
+        // Bonus questions give full marks to anyone who answered
+        if (keyAnswer === 'BONUS') return { status: 'bonus', marks: positive };
+
+        // Several accepted answers: mark against each one and keep the best
+        if (keyAnswer.includes('/')) {
+            return keyAnswer.split('/')
+                .map(alternative => evaluateAnswer(response, alternative, scheme, setup))
+                .reduce((best, result) => (result.marks > best.marks ? result : best));
+        }
+
+        if (isNumericAnswer(keyAnswer)) {
+            const value = Number(response);
+            const [low, high = low] = keyAnswer.split('..').map(parseFloat);
+            // Tiny tolerance so 0.1 + 0.2 style rounding doesn't cost anyone marks
+            const inRange = !isNaN(value) && value >= low - 1e-9 && value <= high + 1e-9;
+            return inRange ? correctResult : incorrectResult;
+        }
+
+        // Letters: any wrong pick is wrong. All the right ones is full marks.
+        const picked = Array.from(response);
+        if (picked.some(letter => !keyAnswer.includes(letter))) return incorrectResult;
+        if (picked.length === keyAnswer.length) return correctResult;
+
+        // Some (but not all) of the right options picked. JEE style gives a share per correct option,
+        // e.g. +1 per option with +4 marks (see PARTIAL_SHARES). All-or-nothing treats it as wrong.
+        const { multiScheme } = withDefaults(setup);
+        if (multiScheme === 'partial') return { status: 'partial', marks: picked.length * positive / Math.max(PARTIAL_SHARES, keyAnswer.length) };
+        return incorrectResult;
+    }
+
+    // Grade a whole sheet. responses is {i: 'A' | 'AC' | '12.5' | null} and key is {i: key answer}.
+    // Returns { questions: {i: { response, status, marks }}, totals, sections } - sections is empty
+    // when the setup has none. Answers past a section's "attempt any N" come back as 'ignored'.
+    function gradeResponses(responses, key, setup) {
+        const { totalQuestions, sections } = withDefaults(setup);
+        const questions = {};
+        const totals = newTally();
+        const groups = getSectionGroups(setup).map(group => ({ ...group, ...newTally(), evaluated: 0 }));
+
+        for (let i = 1; i <= totalQuestions; i++) {
+            const group = groups.find(g => g.questions.includes(i));
+            const response = responses[i] || null;
+            let { status, marks } = evaluateAnswer(response, key[i], getMarkingScheme(i, setup), setup);
+
+            // "Attempt any N": only the first N answered questions in the section are marked
+            if (response) {
+                if (group.attemptLimit && group.evaluated >= group.attemptLimit) {
+                    status = 'ignored';
+                    marks = 0;
+                } else {
+                    group.evaluated++;
+                }
+            }
+
+            questions[i] = { response, status, marks };
+            addToTally(totals, status, marks);
+            addToTally(group, status, marks);
+        }
+
+        // Max marks: every question in the section, or just N of them with an "attempt any N" rule
+        groups.forEach(group => {
+            const counted = group.attemptLimit ? Math.min(group.attemptLimit, group.questions.length) : group.questions.length;
+            const perQuestion = getMarkingScheme(group.questions[0], setup).correct;
+            group.maxScore = counted * (perQuestion !== null ? perQuestion : 1);
+            totals.maxScore += group.maxScore;
+            finishTally(group);
+            delete group.evaluated;
+        });
+        finishTally(totals);
+
+        return { questions, totals, sections: sections.length > 0 ? groups : [] };
+    }
+
+    function newTally() {
+        return { correct: 0, partial: 0, bonus: 0, incorrect: 0, unanswered: 0, ignored: 0, gained: 0, lost: 0, score: 0, maxScore: 0 };
+    }
+
+    function addToTally(tally, status, marks) {
+        tally[status]++;
+        if (marks > 0) tally.gained += marks;
+        else tally.lost += marks;
+    }
+
+    function finishTally(tally) {
+        tally.gained = roundMarks(tally.gained);
+        tally.lost = roundMarks(tally.lost);
+        tally.score = roundMarks(tally.gained + tally.lost);
+        tally.maxScore = roundMarks(tally.maxScore);
+    }
+
+    // Partial marks can give long decimals (e.g. 0.75 * 3), so keep scores tidy
+    function roundMarks(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    // --- Guessing Analysis ---
+    // With negative marking, "should I have guessed?" - the score with some answers left blank,
+    // how each confidence level did, and the same answers under other common schemes.
+
+    // How sure the student was of an answer (optional, picked on the sheet)
+    const CONFIDENCE_LEVELS = ['sure', 'unsure', 'guess'];
+
+    // Schemes to compare a result against. correctMarks null = keep the test's own marks for a right answer
+    const COMPARISON_SCHEMES = [
+        { label: '+4 / -1', correctMarks: 4, wrongMarks: -1 },
+        { label: '+3 / -1', correctMarks: 3, wrongMarks: -1 },
+        { label: 'No negative', correctMarks: null, wrongMarks: 0 },
+    ];
+
+    // Right more often than this and a guess gains marks on average: with +4/-1 it's 20%
+    // (0.2 * 4 = 0.8 * 1). 0 means a wrong answer costs nothing, so always answer.
+    function getBreakEvenAccuracy(scheme) {
+        const positive = scheme.correct !== null ? scheme.correct : 1;
+        const negative = Math.abs(scheme.wrong || 0);
+        return negative === 0 ? 0 : negative / (positive + negative);
+    }
+
+    // The setup with every question (and section) marked the same way
+    function withMarks(setup, correctMarks, wrongMarks) {
+        const full = withDefaults(setup);
+        const keep = correctMarks === null;
+        return {
+            ...full,
+            correctMarks: keep ? full.correctMarks : correctMarks,
+            wrongMarks,
+            sections: full.sections.map(section => ({ ...section, correctMarks: keep ? section.correctMarks : correctMarks, wrongMarks })),
+        };
+    }
+
+    // responses/key/setup as for gradeResponses; flags is { review: {i: true}, confidence: {i: level} }.
+    // Returns {
+    //   score, maxScore                                 what the sheet actually got
+    //   skips: [{ id, questions, score, change }]       the score with those answers left blank -
+    //                                                    id is 'review', 'guess' or 'unsure' (unsure or guess)
+    //   confidence: [{ level, answered, right, partial, wrong, marks }]   levels nobody used are left out
+    //   breakEven: [{ names, correct, wrong, accuracy }] one per marking scheme on the test (names = section names)
+    //   schemes: [{ label, score, maxScore, current }]  COMPARISON_SCHEMES, current = the test already uses it
+    // }
+    function analyzeGuessing(responses, key, setup, flags = {}) {
+        const review = flags.review || {};
+        const confidence = flags.confidence || {};
+        const actual = gradeResponses(responses, key, setup);
+        const answered = Object.keys(actual.questions).map(Number).filter(i => actual.questions[i].response);
+
+        const guesses = answered.filter(i => confidence[i] === 'guess');
+        const notSure = answered.filter(i => confidence[i] === 'guess' || confidence[i] === 'unsure');
+        const skips = [
+            ['review', answered.filter(i => review[i])],
+            ['guess', guesses],
+            ['unsure', notSure.length > guesses.length ? notSure : []],
+        ].filter(([, questions]) => questions.length > 0).map(([id, questions]) => {
+            const skipped = { ...responses };
+            questions.forEach(i => { skipped[i] = null; });
+            const score = gradeResponses(skipped, key, setup).totals.score;
+            return { id, questions, score, change: roundMarks(score - actual.totals.score) };
+        });
+
+        const byConfidence = CONFIDENCE_LEVELS.map(level => {
+            const tally = { level, answered: 0, right: 0, partial: 0, wrong: 0, marks: 0 };
+            answered.filter(i => confidence[i] === level).forEach(i => {
+                const { status, marks } = actual.questions[i];
+                tally.answered++;
+                if (status === 'correct' || status === 'bonus') tally.right++;
+                else if (status === 'partial') tally.partial++;
+                else if (status === 'incorrect') tally.wrong++;
+                tally.marks += marks;
+            });
+            tally.marks = roundMarks(tally.marks);
+            return tally;
+        }).filter(tally => tally.answered > 0);
+
+        const breakEven = [];
+        getSectionGroups(setup).forEach(group => {
+            const scheme = getMarkingScheme(group.questions[0], setup);
+            const correct = scheme.correct !== null ? scheme.correct : 1;
+            const wrong = scheme.wrong || 0;
+            const same = breakEven.find(item => item.correct === correct && item.wrong === wrong);
+            if (same) same.names.push(group.name);
+            else breakEven.push({ names: [group.name], correct, wrong, accuracy: getBreakEvenAccuracy(scheme) });
+        });
+
+        const schemes = COMPARISON_SCHEMES.map(({ label, correctMarks, wrongMarks }) => {
+            const { totals } = gradeResponses(responses, key, withMarks(setup, correctMarks, wrongMarks));
+            const current = breakEven.every(item => item.wrong === wrongMarks && (correctMarks === null || item.correct === correctMarks));
+            return { label, score: totals.score, maxScore: totals.maxScore, current };
+        });
+
+        return { score: actual.totals.score, maxScore: actual.totals.maxScore, skips, confidence: byConfidence, breakEven, schemes };
+    }
+
+    return {
+        OPTION_LETTERS,
+        MAX_QUESTIONS,
+        SET_CODES,
+        normalizeSetCode,
+        getOptions,
+        checkQuestionCount,
+        parseQuestionTypes,
+        inferQuestionTypes,
+        formatQuestionTypes,
+        formatQuestionList,
+        normalizeKeyAnswer,
+        isNumericAnswer,
+        isSpecialAnswer,
+        getKeyLetters,
+        formatKeyAnswer,
+        getKeyNote,
+        combineKeyAnswer,
+        normalizeResponse,
+        splitKeySequence,
+        parseManualKey,
+        parseAnswerKeyFromExcel,
+        parseAnswerKeyFromText,
+        parseAnswerKeyFromPlainText,
+        parseAnswerKeyFromJSON,
+        parseAnswerKeyFromPDF,
+        getKeyConfidence,
+        validateKeyEntries,
+        matchKeyMetadataLine,
+        parseKeyMetadataFromLines,
+        parseKeyMetadataFromRows,
+        parseSectionMetadata,
+        stripKeyMetadata,
+        parseKeyMetadataFromJSON,
+        parseKeyMetadataFromPDF,
+        formatKeyMetadata,
+        formatKeyAsRows,
+        formatKeyAsText,
+        formatKeyAsJSON,
+        getMarkingScheme,
+        hasMarkingScheme,
+        getSectionGroups,
+        evaluateAnswer,
+        gradeResponses,
+        roundMarks,
+        CONFIDENCE_LEVELS,
+        COMPARISON_SCHEMES,
+        getBreakEvenAccuracy,
+        analyzeGuessing,
+    };
+}));
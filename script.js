@@ -36,29 +36,80 @@ tailwind.config = {
 // --- Grab all the DOM elements we need to interact with ---
 // (It's like gathering your ingredients before cooking!)
 const generateBtn = document.getElementById('generate-btn');
+const authorKeyBtn = document.getElementById('author-key-btn');
+const keyStartUpload = document.getElementById('key-start-upload');
+const sharedTestUpload = document.getElementById('shared-test-upload');
+const testNameInput = document.getElementById('test-name');
 const questionCountInput = document.getElementById('question-count');
 const correctMarksInput = document.getElementById('correct-marks');
 const wrongMarksInput = document.getElementById('wrong-marks');
+const durationInput = document.getElementById('exam-duration');
+const optionCountInput = document.getElementById('option-count');
+const questionTypesInput = document.getElementById('question-types');
+const multiSchemeInput = document.getElementById('multi-scheme');
+const practiceModeInput = document.getElementById('practice-mode');
+const sectionsList = document.getElementById('sections-list');
+const addSectionBtn = document.getElementById('add-section-btn');
+const candidateNameInput = document.getElementById('candidate-name');
+const rollNumberInput = document.getElementById('roll-number');
+const testCodeInput = document.getElementById('test-code');
+const testDateInput = document.getElementById('test-date');
+const setCodeInput = document.getElementById('set-code');
 const configError = document.getElementById('config-error');
 
 const omrContainer = document.getElementById('omr-container');
 const omrSheet = document.getElementById('omr-sheet');
+const sheetPagers = [document.getElementById('sheet-pager-top'), document.getElementById('sheet-pager-bottom')];
+const sheetTitleEl = document.getElementById('sheet-title');
 const timerDisplay = document.getElementById('timer-display');
+const timerAlertEl = document.getElementById('timer-alert');
+const paletteGrid = document.getElementById('palette-grid');
+const paletteCounts = document.getElementById('palette-counts');
+const timeInsightsEl = document.getElementById('time-insights');
+const guessAnalysisEl = document.getElementById('guess-analysis');
+const transcriptionInput = document.getElementById('transcription-input');
+const transcriptionStatusEl = document.getElementById('transcription-status');
+const srAnnouncer = document.getElementById('sr-announcer');
 
 const checkBtn = document.getElementById('check-btn');
 const resetBtn = document.getElementById('reset-btn');
 const savePdfBtn = document.getElementById('save-pdf-btn');
+const retryMistakesBtn = document.getElementById('retry-mistakes-btn');
+const printSheetBtn = document.getElementById('print-sheet-btn');
+const shareTestBtn = document.getElementById('share-test-btn');
+const sheetQrToggle = document.getElementById('sheet-qr-toggle');
+const scanUpload = document.getElementById('scan-upload');
 const fileUpload = document.getElementById('file-upload');
 const manualKeyInput = document.getElementById('manual-key');
 const checkError = document.getElementById('check-error');
 const statusMessageEl = document.getElementById('status-message');
+const keyPanel = document.getElementById('key-panel');
+const pasteKeyBtn = document.getElementById('paste-key-btn');
+const keySetInput = document.getElementById('key-set');
+const keySetsInfoEl = document.getElementById('key-sets-info');
+const actionsPanel = document.getElementById('actions-panel');
+
+// Key authoring elements
+const authorPanel = document.getElementById('author-panel');
+const authorStatusEl = document.getElementById('author-status');
+const authorError = document.getElementById('author-error');
+const authorXlsxBtn = document.getElementById('author-xlsx-btn');
+const authorPdfBtn = document.getElementById('author-pdf-btn');
+const authorJsonBtn = document.getElementById('author-json-btn');
+const authorOpenInput = document.getElementById('author-open');
+const authorUseBtn = document.getElementById('author-use-btn');
 
 // Score display elements
 const resultsDisplay = document.getElementById('results-display');
+const resultDetailsEl = document.getElementById('result-details');
 const scoreEl = document.getElementById('score');
 const totalMarksInfoEl = document.getElementById('total-marks-info');
 const timeTakenInfoEl = document.getElementById('time-taken-info');
 const correctCountEl = document.getElementById('correct-count');
+const partialCountEl = document.getElementById('partial-count');
+const bonusCountEl = document.getElementById('bonus-count');
+const ignoredCountEl = document.getElementById('ignored-count');
+const sectionResultsEl = document.getElementById('section-results');
 const incorrectCountEl = document.getElementById('incorrect-count');
 const unansweredCountEl = document.getElementById('unanswered-count');
 const marksBreakdownEl = document.getElementById('marks-breakdown');
@@ -70,39 +121,340 @@ const formatModal = document.getElementById('format-modal');
 const confirmModal = document.getElementById('confirm-modal');
 const confirmYesBtn = document.getElementById('confirm-yes-btn');
 const confirmNoBtn = document.getElementById('confirm-no-btn');
+const resumeModal = document.getElementById('resume-modal');
+const shareModal = document.getElementById('share-modal');
+const sharePassphraseInput = document.getElementById('share-passphrase');
+const shareLinkInput = document.getElementById('share-link');
+const shareError = document.getElementById('share-error');
+const shareCopyBtn = document.getElementById('share-copy-btn');
+const shareDownloadBtn = document.getElementById('share-download-btn');
+const shareCloseBtn = document.getElementById('share-close-btn');
+const unlockModal = document.getElementById('unlock-modal');
+const unlockPassphraseInput = document.getElementById('unlock-passphrase');
+const unlockError = document.getElementById('unlock-error');
+const unlockBtn = document.getElementById('unlock-btn');
+const unlockCancelBtn = document.getElementById('unlock-cancel-btn');
+const resumeList = document.getElementById('resume-list');
+const resumeFreshBtn = document.getElementById('resume-fresh-btn');
+const keyPreviewModal = document.getElementById('key-preview-modal');
+const keyPreviewSummary = document.getElementById('key-preview-summary');
+const keyPreviewIssues = document.getElementById('key-preview-issues');
+const keyPreviewBody = document.getElementById('key-preview-body');
+const keyPreviewAcceptBtn = document.getElementById('key-preview-accept-btn');
+const keyPreviewCancelBtn = document.getElementById('key-preview-cancel-btn');
+
+// History dashboard
+const historyBtn = document.getElementById('history-btn');
+const historySection = document.getElementById('history-section');
+const historyCloseBtn = document.getElementById('history-close-btn');
+const historyEmptyEl = document.getElementById('history-empty');
+const historyContentEl = document.getElementById('history-content');
+const historySummaryEl = document.getElementById('history-summary');
+const historyTableBody = document.getElementById('history-table-body');
+const historyScoreChart = document.getElementById('history-score-chart');
+const historyTimeChart = document.getElementById('history-time-chart');
+const historyExportBtn = document.getElementById('history-export-btn');
+const historyImportInput = document.getElementById('history-import');
+const historyClearBtn = document.getElementById('history-clear-btn');
+const batchBtn = document.getElementById('batch-btn');
+const batchSection = document.getElementById('batch-section');
+const batchCloseBtn = document.getElementById('batch-close-btn');
+const batchSheetUpload = document.getElementById('batch-sheet-upload');
+const batchScanUpload = document.getElementById('batch-scan-upload');
+const batchExportBtn = document.getElementById('batch-export-btn');
+const batchClearBtn = document.getElementById('batch-clear-btn');
+const batchError = document.getElementById('batch-error');
+const batchStatusEl = document.getElementById('batch-status');
+const batchEmptyEl = document.getElementById('batch-empty');
+const batchContentEl = document.getElementById('batch-content');
+const batchSummaryEl = document.getElementById('batch-summary');
+const batchTableBody = document.getElementById('batch-table-body');
+const batchAnalysisBtn = document.getElementById('batch-analysis-btn');
+const historyAnalysisBtn = document.getElementById('history-analysis-btn');
+const analysisSection = document.getElementById('analysis-section');
+const analysisCloseBtn = document.getElementById('analysis-close-btn');
+const analysisPdfBtn = document.getElementById('analysis-pdf-btn');
+const analysisXlsxBtn = document.getElementById('analysis-xlsx-btn');
+const analysisError = document.getElementById('analysis-error');
+const analysisContentEl = document.getElementById('analysis-content');
+const analysisSummaryEl = document.getElementById('analysis-summary');
+const analysisTableHead = document.getElementById('analysis-table-head');
+const analysisTableBody = document.getElementById('analysis-table-body');
 
 // --- Variables to keep track of app state ---
 let totalQuestions = 0;
 let correctMarks = null;
 let wrongMarks = null;
-let answerKey = {};     // Will hold the correct answers like {1: 'A', 2: 'C'}
+let answerKey = {};     // Will hold the correct answers like {1: 'A', 2: 'AC', 3: '12', 4: '1.5..2.5', 5: 'A/B', 6: 'BONUS'}
+let optionCount = 4;    // Bubbles per question (A-D, or A-E for 5)
+let questionTypes = {}; // Question number -> 'multi' or 'numeric'. Anything missing is 'single'
+let questionTypesSpec = ''; // What the user typed for question types, e.g. "21-25 multi"
+let multiScheme = 'partial'; // Multiple-correct marking: 'partial' (JEE style) or 'all' (all or nothing)
+let practiceMode = '';  // '' (normal exam), 'instant' (check each answer as it's given) or 'retry' (same, with a second try)
+let keyAuthoring = false; // The sheet is being used to make an answer key, not to take the test
+let practiceProgress = {}; // Practice mode: {i: { tries, right, done }} - done means the question is settled and locked
+let responses = {};     // The answers on the sheet: {i: 'A' | 'AC' | '12.5' | null}. The page just shows them
+let sheetPage = 1;      // Which page of a big sheet is showing (see SHEET_PAGE_SIZE)
+let questionNumbers = null; // Original question numbers when the sheet is a subset (retrying mistakes), else null
+let pendingQuestionNumbers = null; // ...waiting for the next generateOMRSheet (set by applyConfigToInputs)
+let sections = [];      // [{ name, from, to, correctMarks, wrongMarks, attemptLimit }], empty = one flat list
+let lastResults = null; // What calculateResults() gave us at the last grading (used by the PDF)
+let batchStudents = []; // Class grading: [{ name, rollNumber, set, responses: {i: response}, needsCheck, unchecked: {i: why}, rollFlag }]
+let batchResults = [];  // ...and their graded results, best first (see gradeBatch)
+let itemAnalysis = null; // Last item analysis shown: { label, count, rows } (used by the exports)
+let pendingKey = null;  // Key waiting in the preview for the user to accept: { entries, source, key, explanations }
+let keyExplanations = {}; // Optional explanations from the key file, shown for wrong answers: {i: text}
+let setKeys = {};       // Keys loaded for particular sets/booklets: {A: { key, explanations }, '': for every set}. Empty = just answerKey
+let lockedKey = null;   // Encrypted key from a shared test, opened on submit: { iv, data, secret } or { iv, data, salt }
+let pendingUnlock = null; // The passphrase box is open: called with true once the key unlocks, false if it's closed
 let timerInterval = null;
 let startTime = 0;
 let isGraded = false;   // Prevents editing after grading
+let isSubmitted = false; // True once the sheet is graded or locked - nothing left to autosave
+let isReviewMode = false; // Viewing a past attempt from history (read-only)
+let timeTaken = 0;      // ms spent on the attempt, set when the timer stops
+let submittedAt = null; // When the attempt was submitted (the date on the report)
+let examDuration = 0;   // Time limit in ms. 0 means no limit, so the timer just counts up
+let submissionMode = null; // 'manual' or 'timeout', shown on the PDF report
+let warningsShown = []; // Which countdown warnings we already gave (in minutes)
+let currentAttemptId = null; // Id of the current attempt (autosave + history entry)
+let lastAutosave = 0;
+let questionTimes = {};    // Time spent on each question in ms: {i: ms}
+let reviewFlags = {};      // Questions marked for review: {i: true}
+let answerConfidence = {}; // How sure they were of each answer, if they said: {i: 'sure' | 'unsure' | 'guess'}
+let activeQuestion = null; // The question being worked on right now - its clock is running
+let activeSince = 0;
+let transcribedCount = 0;  // How many questions the transcription box filled (so deleting from it clears them)
+let scanFlags = {};        // Scanned answers waiting for a person to check them: {i: message}
+let keyEdits = {};         // Key editor: each question's bonus/dropped menu and note: {i: { status, note }}
+
+// The marking engine and key parsers live in grading.js (no DOM, so they can be tested under Node).
+// Anything that doesn't depend on the current sheet is used as-is; the rest is wrapped below
+// to pass in the current setup (see getGradingSetup).
+const {
+    OPTION_LETTERS, MAX_QUESTIONS, checkQuestionCount, parseQuestionTypes, inferQuestionTypes, formatQuestionTypes,
+    formatQuestionList, isNumericAnswer, isSpecialAnswer, getKeyLetters, formatKeyAnswer, getKeyNote, splitKeySequence,
+    parseKeyMetadataFromLines, parseKeyMetadataFromRows, parseKeyMetadataFromJSON, parseKeyMetadataFromPDF, stripKeyMetadata,
+    roundMarks, normalizeSetCode, normalizeKeyAnswer, formatKeyMetadata, CONFIDENCE_LEVELS,
+} = OMRGrading;
+
+// Big sheets: only this many rows are on the page at once, in a compact grid like a printed OMR sheet.
+// Anything up to this stays one list, like it always was
+const SHEET_PAGE_SIZE = 100;
+
+// Countdown warnings: show a heads-up when this many minutes are left
+const TIMER_WARNINGS = [10, 5, 1];
+
+// History: every graded attempt, kept so students can track their progress
+const HISTORY_KEY = 'omr-attempt-history';
+
+// Autosave: unfinished attempts live in localStorage so a refresh doesn't lose them
+const SAVED_ATTEMPTS_KEY = 'omr-saved-attempts';
+const MAX_SAVED_ATTEMPTS = 10;
+const AUTOSAVE_INTERVAL = 5000; // Save the clock every 5 seconds while the timer runs
+
+// Paper sheets: the printable layout (mm on A4) and how dark a bubble must be to count as filled
+const SCAN_PAGE_WIDTH = 210;
+const SCAN_PAGE_HEIGHT = 297;
+const SCAN_MARKER_SIZE = 8;   // Solid square in each corner
+const SCAN_MARKER_INSET = 8;  // Gap from the page edge to a corner square
+const SCAN_BUBBLE_RADIUS = 2.3;
+const SCAN_FIRST_PAGE_TOP = 125; // Page 1 starts lower - the candidate boxes and roll-number grid go above
+const SCAN_ROLL_DIGITS = 8;
+const SCAN_FILLED = 0.45;     // At least this share of the bubble dark = filled
+const SCAN_EMPTY = 0.15;      // At most this = empty. Anything in between, we ask
+const SCAN_MAX_SIZE = 1600;   // Photos are shrunk to this many pixels on the long side
+
+// Shared tests: the link carries the setup plus the key, encrypted (AES-GCM).
+// A passphrase key is stretched with PBKDF2 so it can't be guessed quickly.
+const SHARE_LINK_PREFIX = '#test=';
+const SHARE_PBKDF2_ITERATIONS = 150000;
+
+// What the confidence menu next to each answer says (the levels are grading.js's CONFIDENCE_LEVELS)
+const CONFIDENCE_LABELS = { sure: 'Sure', unsure: 'Not sure', guess: 'Guess' };
+
+// PDF report: how each result is labelled and coloured (tables, pie chart, legend)
+const REPORT_STATUS = {
+    correct: { label: 'Correct', color: [22, 163, 74] },
+    partial: { label: 'Partial', color: [217, 119, 6] },
+    bonus: { label: 'Bonus', color: [147, 51, 234] },
+    incorrect: { label: 'Wrong', color: [220, 38, 38] },
+    unanswered: { label: 'Skipped', color: [148, 163, 184] },
+    ignored: { label: 'Not counted', color: [100, 116, 139] },
+};
 
 // --- Listeners: Waiting for user actions ---
-generateBtn.addEventListener('click', generateOMRSheet);
+generateBtn.addEventListener('click', () => generateOMRSheet());
+authorKeyBtn.addEventListener('click', () => generateOMRSheet(true));
+keyStartUpload.addEventListener('change', handleKeyStartUpload);
+sharedTestUpload.addEventListener('change', handleSharedTestUpload);
+addSectionBtn.addEventListener('click', () => addSectionRow());
+// Candidate details go into the autosave (and the results, if they're already showing)
+[candidateNameInput, rollNumberInput, testCodeInput, testDateInput].forEach(input => input.addEventListener('change', () => {
+    if (isGraded) renderTestDetails();
+    autosave();
+}));
+// A different set means a different key - unless the sheet is already graded with one
+setCodeInput.addEventListener('change', () => {
+    if (!isSubmitted) useSetKey();
+    if (isGraded) renderTestDetails();
+    renderKeySets();
+    autosave();
+});
 // Allow pressing 'Enter' to generate
 questionCountInput.addEventListener('keydown', (e) => { if (e.key === 'Enter') generateOMRSheet(); });
-checkBtn.addEventListener('click', handleCheckAnswers);
+// (checkBtn's click is wired up in resetOMRState, since it changes after a submit)
 resetBtn.addEventListener('click', resetEverything);
 savePdfBtn.addEventListener('click', saveResultAsPDF);
+retryMistakesBtn.addEventListener('click', retryMistakes);
+printSheetBtn.addEventListener('click', printBlankSheet);
+shareTestBtn.addEventListener('click', showShareModal);
+shareCopyBtn.addEventListener('click', copyShareLink);
+shareDownloadBtn.addEventListener('click', downloadShareFile);
+shareCloseBtn.addEventListener('click', () => shareModal.classList.add('hidden'));
+unlockBtn.addEventListener('click', unlockWithPassphrase);
+unlockPassphraseInput.addEventListener('keydown', (e) => { if (e.key === 'Enter') unlockWithPassphrase(); });
+unlockCancelBtn.addEventListener('click', () => closeUnlockModal(false));
+scanUpload.addEventListener('change', handleScanUpload);
 fileUpload.addEventListener('change', handleFileUpload);
+pasteKeyBtn.addEventListener('click', pasteKeyFromClipboard);
+keyPreviewAcceptBtn.addEventListener('click', acceptPendingKey);
+keyPreviewCancelBtn.addEventListener('click', cancelPendingKey);
+// Drop a key file anywhere on the "Check Your Answers" panel
+keyPanel.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    keyPanel.classList.add('drag-over');
+});
+keyPanel.addEventListener('dragleave', () => keyPanel.classList.remove('drag-over'));
+keyPanel.addEventListener('drop', (e) => {
+    e.preventDefault();
+    keyPanel.classList.remove('drag-over');
+    const file = e.dataTransfer.files[0];
+    if (file) loadAnswerKeyFile(file);
+});
+// Ctrl+V a copied key while the sheet is open (but not while typing in a box)
+document.addEventListener('paste', (e) => {
+    if (omrContainer.classList.contains('hidden') || isSubmitted) return;
+    if (e.target.closest && e.target.closest('input, textarea, select')) return;
+    const text = e.clipboardData && e.clipboardData.getData('text');
+    if (text && text.trim()) previewAnswerKey(parseAnswerKeyFromPlainText(stripKeyMetadata(text)), 'pasted text', parseKeyMetadataFromLines(text.split(/\r?\n/)));
+});
 confirmYesBtn.addEventListener('click', handleConfirmProceed);
 confirmNoBtn.addEventListener('click', () => confirmModal.classList.add('hidden'));
+resumeFreshBtn.addEventListener('click', () => resumeModal.classList.add('hidden'));
+historyBtn.addEventListener('click', showHistory);
+historyCloseBtn.addEventListener('click', () => historySection.classList.add('hidden'));
+historyExportBtn.addEventListener('click', exportHistory);
+batchAnalysisBtn.addEventListener('click', () => showItemAnalysis('class'));
+historyAnalysisBtn.addEventListener('click', () => showItemAnalysis('history'));
+analysisCloseBtn.addEventListener('click', () => analysisSection.classList.add('hidden'));
+analysisPdfBtn.addEventListener('click', exportItemAnalysisPDF);
+analysisXlsxBtn.addEventListener('click', exportItemAnalysisXLSX);
+historyImportInput.addEventListener('change', importHistory);
+historyClearBtn.addEventListener('click', clearHistory);
+batchBtn.addEventListener('click', showBatch);
+batchCloseBtn.addEventListener('click', () => batchSection.classList.add('hidden'));
+batchSheetUpload.addEventListener('change', handleBatchSheetUpload);
+batchScanUpload.addEventListener('change', handleBatchScanUpload);
+batchExportBtn.addEventListener('click', exportBatchResults);
+authorXlsxBtn.addEventListener('click', saveAuthoredKeyXLSX);
+authorPdfBtn.addEventListener('click', saveAuthoredKeyPDF);
+authorJsonBtn.addEventListener('click', saveAuthoredKeyJSON);
+authorOpenInput.addEventListener('change', (e) => handleKeyStartUpload(e, true));
+authorUseBtn.addEventListener('click', useAuthoredKey);
+batchClearBtn.addEventListener('click', () => {
+    batchStudents = [];
+    renderBatch();
+});
+// Whatever changed on a row goes into the model first - everything below reads it from there
+omrSheet.addEventListener('change', syncQuestionFromSheet);
+omrSheet.addEventListener('input', syncQuestionFromSheet);
+// Autosave every bubble change and key edit
+omrSheet.addEventListener('change', autosave);
+// Changing a scanned answer by hand counts as checking it
+omrSheet.addEventListener('change', (e) => { if (isAnswerInput(e.target)) clearScanFlag(getRowQuestion(e.target)); });
+omrSheet.addEventListener('input', (e) => { if (isAnswerInput(e.target)) clearScanFlag(getRowQuestion(e.target)); });
+omrSheet.addEventListener('input', autosave); // Numeric answers, as they're typed
+omrSheet.addEventListener('change', updatePalette);
+omrSheet.addEventListener('input', updatePalette);
+// Practice mode: bubbles and number boxes get checked as soon as they're answered (multi has a Check button)
+omrSheet.addEventListener('change', (e) => {
+    if (!practiceMode || isSubmitted || !isAnswerInput(e.target)) return;
+    const i = getRowQuestion(e.target);
+    if (getQuestionType(i) !== 'multi') checkPracticeAnswer(i);
+});
+// Per-question clock: the question last focused or clicked is the one being worked on
+omrSheet.addEventListener('focusin', (e) => trackQuestion(e.target));
+omrSheet.addEventListener('pointerdown', (e) => trackQuestion(e.target));
+// Don't count time while they're in another tab
+document.addEventListener('visibilitychange', () => { if (document.hidden) setActiveQuestion(null); });
+// Keyboard entry on the sheet, and the type-it-all-in transcription box
+omrSheet.addEventListener('keydown', handleSheetKeydown);
+transcriptionInput.addEventListener('input', handleTranscriptionInput);
+// Big sheets: the page buttons above and below the sheet
+sheetPagers.forEach(pager => pager.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-page]');
+    if (!button || button.disabled) return;
+    showSheetPage(parseInt(button.dataset.page, 10));
+    omrSheet.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}));
+paletteGrid.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-q]');
+    if (button) jumpToQuestion(parseInt(button.dataset.q, 10));
+});
+manualKeyInput.addEventListener('input', autosave);
+window.addEventListener('beforeunload', autosave);
+
+// Got unfinished tests from last time? Offer to pick them back up
+offerResume();
+// Opened from a shared link? Build that test straight away
+openSharedLink();
 
 
 // --- FUNCTION: Generate the OMR Sheet ---
-function generateOMRSheet() {
+// authoring = build it as an answer key editor instead of a test (see Key Authoring)
+function generateOMRSheet(authoring = false) {
     const count = parseInt(questionCountInput.value, 10);
+    // Original numbers only carry over to the sheet they were meant for
+    const numbers = pendingQuestionNumbers;
+    pendingQuestionNumbers = null;
     
     // Basic validation: don't let them crash the browser with 1 million questions
-    if (isNaN(count) || count < 1 || count > 200) {
-        showError(configError, 'Please enter a number between 1 and 200.');
+    const countError = checkQuestionCount(count);
+    if (countError) {
+        showError(configError, countError);
+        return;
+    }
+    // Time limit is optional. Empty (or 0) means the timer just counts up like before.
+    // Under a minute isn't a limit, it's an instant auto-submit
+    const durationMinutes = durationInput.value ? parseFloat(durationInput.value) : 0;
+    if (isNaN(durationMinutes) || durationMinutes < 0 || (durationMinutes > 0 && durationMinutes < 1) || durationMinutes > 600) {
+        showError(configError, 'Please enter a time limit between 1 and 600 minutes (or leave it empty for no limit).');
+        return;
+    }
+    // Which questions are multiple-correct or numeric (everything else is a normal single answer)
+    const parsedTypes = parseQuestionTypes(questionTypesInput.value, count);
+    if (parsedTypes.error) {
+        showError(configError, parsedTypes.error);
+        return;
+    }
+    // Sections are optional too, each with its own marking and "attempt any N" rule
+    const parsedSections = readSections(count);
+    if (parsedSections.error) {
+        showError(configError, parsedSections.error);
         return;
     }
     hideError(configError);
     totalQuestions = count;
+    sections = parsedSections.sections;
+    examDuration = Math.round(durationMinutes * 60 * 1000);
+    optionCount = parseInt(optionCountInput.value, 10) || 4;
+    questionTypes = parsedTypes.types;
+    questionTypesSpec = questionTypesInput.value.trim();
+    multiScheme = multiSchemeInput.value;
+    keyAuthoring = authoring;
+    practiceMode = authoring ? '' : practiceModeInput.value;
+    questionNumbers = numbers && numbers.length === count ? numbers : null;
     
     // Get marking scheme if provided
     correctMarks = correctMarksInput.value ? parseFloat(correctMarksInput.value) : null;
@@ -111,85 +463,745 @@ function generateOMRSheet() {
     // If they entered a positive number for negative marking, flip it (e.g., 1 becomes -1)
     if (wrongMarks !== null && wrongMarks > 0) wrongMarks = -wrongMarks;
 
-    // Clear any old sheet
-    omrSheet.innerHTML = '';
-    
-    // Loop to create rows
-    for (let i = 1; i <= totalQuestions; i++) {
-        omrSheet.appendChild(createQuestionRow(i));
-    }
+    // Start on the first page - resetOMRState draws it (see Sheet Pages)
+    sheetPage = 1;
 
-    // Show the sheet and start the clock!
+    // Show the sheet and start the clock! (Making a key isn't an attempt - no clock, nothing to autosave)
     omrContainer.classList.remove('hidden');
     resetOMRState();
-    startTimer();
+    renderAuthoringMode();
+    if (keyAuthoring) {
+        currentAttemptId = null;
+        clearInterval(timerInterval);
+    } else {
+        currentAttemptId = `attempt-${Date.now()}`;
+        startTimer();
+    }
     
     // Smooth scroll down to the sheet
     omrContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
 }
 
 // --- Helper: Create a single question row ---
+// (Just the markup - buildQuestionRow fills in the answer and everything else we know about the question)
 function createQuestionRow(i) {
     const questionRow = document.createElement('div');
+    // Big sheets get small rows that sit in columns (see SHEET_PAGE_SIZE)
+    const compact = totalQuestions > SHEET_PAGE_SIZE;
     // Add tailwind classes for styling
-    questionRow.className = 'question-row group flex flex-wrap sm:flex-nowrap items-center justify-between p-4 rounded-2xl transition-all duration-300 hover:bg-white/20 border border-transparent';
+    questionRow.className = compact
+        ? 'question-row group relative flex flex-wrap items-center gap-x-2 px-2 py-1 rounded-xl transition-all duration-300 hover:bg-white/20 border border-transparent'
+        : 'question-row group flex flex-wrap sm:flex-nowrap items-center justify-between p-4 rounded-2xl transition-all duration-300 hover:bg-white/20 border border-transparent';
     questionRow.id = `q-row-${i}`;
+    const type = getQuestionType(i);
     
-    // Create the 4 bubbles (A, B, C, D)
-    const optionsHTML = ['A', 'B', 'C', 'D'].map(option => `
-        <div class="flex items-center space-x-3">
-            <input type="radio" name="question-${i}" id="q${i}-opt${option}" value="${option}" class="omr-radio">
-            <label for="q${i}-opt${option}" class="font-bold cursor-pointer text-glass-medium select-none">${option}</label>
+    let optionsHTML;
+    if (type === 'numeric') {
+        // Numeric questions get a box to type the answer in
+        optionsHTML = `
+            <input type="text" inputmode="decimal" autocomplete="off" name="question-${i}" id="q${i}-num" class="glass-input ${compact ? 'w-28 p-1 text-sm' : 'w-32 sm:w-40 p-2'} rounded-xl font-mono font-bold text-center" placeholder="Answer" aria-label="Answer for question ${getQuestionNumber(i)}">`;
+    } else {
+        // Create the bubbles (A, B, C, D...). Multiple-correct questions use checkboxes so you can pick several,
+        // and so does every question in a key being made (two bubbles on a single answer = accept either)
+        const inputType = type === 'multi' || keyAuthoring ? 'checkbox' : 'radio';
+        optionsHTML = getOptions().map(option => `
+        <div class="flex items-center ${compact ? 'space-x-1' : 'space-x-3'}">
+            <input type="${inputType}" name="question-${i}" id="q${i}-opt${option}" value="${option}" class="omr-radio${type === 'multi' ? ' omr-check' : ''}${compact ? ' omr-small' : ''}">
+            <label for="q${i}-opt${option}" class="font-bold cursor-pointer text-glass-medium select-none${compact ? ' text-xs' : ''}">${option}</label>
         </div>`).join('');
+    }
+
+    // Little tag so it's obvious a question works differently
+    const typeTag = type === 'single' ? '' : `
+            <span class="text-[10px] font-bold uppercase tracking-wide text-glass-light bg-white/30 px-2 py-0.5 rounded-full">${type === 'multi' ? 'Multi' : 'Numeric'}</span>`;
     
     // Create the "Clear" button (hidden by default/subtle)
     const clearBtn = `
-        <button onclick="clearSelection(${i})" class="ml-2 sm:ml-4 text-xs font-bold text-glass-light hover:text-red-500 hover:bg-red-100/40 px-3 py-1.5 rounded-xl transition-all opacity-50 hover:opacity-100 sm:opacity-0 sm:group-hover:opacity-100 focus:opacity-100" title="Clear answer for question ${i}">
+        <button onclick="clearSelection(${i})" class="ml-2 sm:ml-4 text-xs font-bold text-glass-light hover:text-red-500 hover:bg-red-100/40 px-3 py-1.5 rounded-xl transition-all opacity-50 hover:opacity-100 sm:opacity-0 sm:group-hover:opacity-100 focus:opacity-100" title="Clear answer for question ${getQuestionNumber(i)}">
             Clear
         </button>
     `;
+    // Practice mode can't tell when a multiple-correct answer is finished, so it gets a button
+    const practiceBtn = practiceMode && type === 'multi' ? `
+        <button onclick="checkPracticeAnswer(${i})" class="practice-check-btn ml-1 text-xs font-bold text-green-800 hover:bg-green-100/40 px-3 py-1.5 rounded-xl transition-all" title="Check question ${getQuestionNumber(i)}">Check</button>
+    ` : '';
+    // "Mark for review" - stays visible once it's on, so they can find their way back.
+    // A key being made gets a bonus/dropped menu and a note box there instead
+    const reviewBtn = keyAuthoring ? `
+        <select name="key-status-${i}" class="key-status glass-input ml-2 text-xs font-bold p-1.5 rounded-xl" aria-label="Scoring for question ${getQuestionNumber(i)}">
+            <option value="">Normal</option>
+            <option value="BONUS">Bonus</option>
+            <option value="DROPPED">Dropped</option>
+        </select>
+        <input type="text" name="key-note-${i}" class="key-note-input glass-input ml-2 w-28 sm:w-40 text-xs p-1.5 rounded-xl" placeholder="Note (optional)" aria-label="Note for question ${getQuestionNumber(i)}" autocomplete="off">
+    ` : `
+        <button onclick="toggleReview(${i})" class="review-btn ml-1 text-xs font-bold text-purple-700 hover:bg-purple-100/40 px-3 py-1.5 rounded-xl transition-all opacity-50 hover:opacity-100 sm:opacity-0 sm:group-hover:opacity-100 focus:opacity-100" title="Mark question ${getQuestionNumber(i)} for review" aria-pressed="false">Review</button>
+    `;
+
+    // How sure they are of the answer (optional) - the guessing analysis after grading uses it
+    const confidenceSelect = keyAuthoring ? '' : `
+        <select name="confidence-${i}" class="confidence-select glass-input ml-1 text-xs font-bold p-1.5 rounded-xl transition-all opacity-50 hover:opacity-100 sm:opacity-0 sm:group-hover:opacity-100 focus:opacity-100" aria-label="How sure are you of question ${getQuestionNumber(i)}?">
+            <option value="">Sure?</option>
+            ${CONFIDENCE_LEVELS.map(level => `<option value="${level}">${CONFIDENCE_LABELS[level]}</option>`).join('')}
+        </select>
+    `;
+
+    const groupAttributes = `role="${type === 'single' && !keyAuthoring ? 'radiogroup' : 'group'}" aria-label="Question ${getQuestionNumber(i)}${type === 'single' ? '' : type === 'multi' ? ', more than one answer' : ', numeric answer'}"`;
+    if (compact) {
+        // Number and bubbles only - the buttons pop up under the row while it's hovered or being answered
+        // (a key being made keeps its menu and note box on show)
+        const toolsClass = keyAuthoring
+            ? 'flex w-full justify-end'
+            : 'hidden group-hover:flex group-focus-within:flex absolute right-1 top-full z-20 bg-white/80 backdrop-blur-md rounded-xl shadow-glass-sm p-1';
+        questionRow.innerHTML = `
+            <span class="font-extrabold text-glass-dark w-10 text-right text-sm">${getQuestionNumber(i)}.</span>${typeTag}
+            <div class="flex items-center space-x-2" ${groupAttributes}>${optionsHTML}</div>
+            <div class="row-tools items-center ${toolsClass}">${practiceBtn}${clearBtn}${reviewBtn}${confidenceSelect}</div>`;
+        return questionRow;
+    }
 
     questionRow.innerHTML = `
         <div class="flex items-center w-full sm:w-auto mb-2 sm:mb-0">
-            <span class="font-extrabold text-glass-dark w-8 sm:w-12 text-right mr-4 sm:mr-6 text-lg">${i}.</span>
+            <span class="font-extrabold text-glass-dark w-8 sm:w-12 text-right mr-4 sm:mr-6 text-lg">${getQuestionNumber(i)}.</span>${typeTag}
         </div>
         <div class="flex items-center justify-between w-full sm:w-auto flex-1">
-            <div class="flex items-center space-x-3 sm:space-x-8 justify-center flex-grow sm:flex-grow-0">${optionsHTML}</div>
-            ${clearBtn}
+            <div class="flex items-center space-x-3 sm:space-x-8 justify-center flex-grow sm:flex-grow-0" ${groupAttributes}>${optionsHTML}</div>
+            ${practiceBtn}${clearBtn}${reviewBtn}${confidenceSelect}
         </div>`;
     return questionRow;
 }
 
+// A row with everything the model knows about the question put back on it: the answer, the key editor's
+// menu and note, review/confidence/scan flags, practice progress, and the result once it's graded
+function buildQuestionRow(i) {
+    const row = createQuestionRow(i);
+    writeRowResponse(row, i);
+    if (keyAuthoring) {
+        const edit = keyEdits[i] || {};
+        row.querySelector('.key-status').value = edit.status || '';
+        row.querySelector('.key-note-input').value = edit.note || '';
+    }
+    renderReviewState(i, row);
+    renderConfidenceState(i, row);
+    renderScanFlag(i, row);
+    renderPracticeState(i, row);
+    if (isGraded) renderGradedState(i, row);
+    if (isSubmitted) lockQuestionRow(row, i);
+    return row;
+}
+
+// Submitted: nothing can change. The confidence menu stays only if they used it
+function lockQuestionRow(row, i) {
+    row.querySelectorAll('input, select').forEach(input => input.disabled = true);
+    row.querySelectorAll('button').forEach(btn => btn.style.display = 'none');
+    row.querySelectorAll('.confidence-select').forEach(select => {
+        if (!answerConfidence[i]) select.style.display = 'none';
+    });
+    // A compact row with nothing left to pop up loses its (empty) popup
+    if (!answerConfidence[i]) row.querySelector('.row-tools')?.remove();
+}
+
+// --- Sheet Pages ---
+// A big sheet shows SHEET_PAGE_SIZE questions at a time. Rows are built from the model whenever a page
+// is shown, so moving between pages (or grading, or resetting) never loses anything.
+
+function getSheetPageCount() {
+    return Math.max(1, Math.ceil(totalQuestions / SHEET_PAGE_SIZE));
+}
+
+function getQuestionPage(i) {
+    return Math.ceil(i / SHEET_PAGE_SIZE);
+}
+
+function renderSheetPage() {
+    const first = (sheetPage - 1) * SHEET_PAGE_SIZE + 1;
+    const last = Math.min(totalQuestions, sheetPage * SHEET_PAGE_SIZE);
+    const rows = document.createDocumentFragment();
+    for (let i = first; i <= last; i++) rows.appendChild(buildQuestionRow(i));
+    omrSheet.classList.toggle('omr-compact', totalQuestions > SHEET_PAGE_SIZE);
+    omrSheet.replaceChildren(rows);
+    renderSheetPager();
+}
+
+function showSheetPage(page) {
+    sheetPage = Math.min(Math.max(page, 1), getSheetPageCount());
+    renderSheetPage();
+}
+
+// Prev / Q1-100 / Q101-200 ... / Next, above and below the sheet (hidden when it all fits on one page)
+function renderSheetPager() {
+    const pages = getSheetPageCount();
+    const buttonClass = 'px-3 py-1.5 rounded-xl text-xs font-bold transition-all disabled:opacity-40';
+    const plain = `${buttonClass} bg-white/40 text-glass-dark hover:bg-white/60`;
+    const buttons = [`<button type="button" data-page="${sheetPage - 1}" class="${plain}"${sheetPage === 1 ? ' disabled' : ''}>&lsaquo; Prev</button>`];
+    for (let page = 1; page <= pages; page++) {
+        const from = getQuestionNumber((page - 1) * SHEET_PAGE_SIZE + 1);
+        const to = getQuestionNumber(Math.min(totalQuestions, page * SHEET_PAGE_SIZE));
+        const current = page === sheetPage;
+        buttons.push(`<button type="button" data-page="${page}" class="${current ? `${buttonClass} btn-liquid-blue text-white` : plain}"${current ? ' aria-current="page"' : ''}>Q${from}-${to}</button>`);
+    }
+    buttons.push(`<button type="button" data-page="${sheetPage + 1}" class="${plain}"${sheetPage === pages ? ' disabled' : ''}>Next &rsaquo;</button>`);
+    sheetPagers.forEach(pager => {
+        pager.innerHTML = pages > 1 ? buttons.join('') : '';
+        pager.classList.toggle('hidden', pages === 1);
+    });
+}
+
+// --- Question Types & Answers ---
+
+// Letters we use for bubbles, e.g. ['A', 'B', 'C', 'D'] for 4 options
+function getOptions() {
+    return OMRGrading.getOptions(optionCount);
+}
+
+// What the question is called on the test (a retry sheet keeps the original numbers)
+function getQuestionNumber(i) {
+    return questionNumbers ? questionNumbers[i - 1] : i;
+}
+
+function getQuestionType(i) {
+    return questionTypes[i] || 'single';
+}
+
+// What the user answered: 'A' (single), 'AC' (multiple), '12.5' (numeric) or null if skipped.
+// Comes from the model, so it works for questions on any page of the sheet
+function getResponse(i) {
+    return responses[i] || null;
+}
+
+// Put a response on the sheet (the opposite of getResponse) - and on its row, if that's showing
+function setResponse(i, value) {
+    responses[i] = value || null;
+    const row = getQuestionRow(i);
+    if (row) writeRowResponse(row, i);
+}
+
+// What a row's bubbles (or number box) say right now
+function readRowResponse(row, i) {
+    const inputs = Array.from(row.querySelectorAll(`[name="question-${i}"]`));
+    if (inputs.length === 0) return null;
+    if (inputs[0].type === 'text') return inputs[0].value.trim() || null;
+    const picked = inputs.filter(input => input.checked).map(input => input.value);
+    return picked.length > 0 ? picked.join('') : null;
+}
+
+function writeRowResponse(row, i) {
+    const value = responses[i];
+    row.querySelectorAll(`[name="question-${i}"]`).forEach(input => {
+        if (input.type === 'text') input.value = value || '';
+        else input.checked = !!value && value.includes(input.value);
+    });
+}
+
+// The row for a question - null if it's on a page of the sheet that isn't showing
+function getQuestionRow(i) {
+    return document.getElementById(`q-row-${i}`);
+}
+
+// Which question a bit of the sheet belongs to (null if it isn't in a row)
+function getRowQuestion(element) {
+    const row = element.closest('.question-row');
+    return row ? parseInt(row.id.replace('q-row-', ''), 10) : null;
+}
+
+// A bubble or number box (not one of the menus or the note box next to it)
+function isAnswerInput(element) {
+    return !!element.name && element.name.startsWith('question-');
+}
+
+// Copy a change on the sheet into the model: an answer, the confidence menu, or the key editor's menu/note
+function syncQuestionFromSheet(e) {
+    const i = getRowQuestion(e.target);
+    if (i === null) return;
+    const row = e.target.closest('.question-row');
+    if (isAnswerInput(e.target)) {
+        responses[i] = readRowResponse(row, i);
+    } else if (e.target.classList.contains('confidence-select')) {
+        setConfidence(i, e.target.value);
+    } else if (e.target.classList.contains('key-status') || e.target.classList.contains('key-note-input')) {
+        keyEdits[i] = { status: row.querySelector('.key-status').value, note: row.querySelector('.key-note-input').value };
+    }
+}
+
+// The current sheet's setup, in the shape grading.js wants
+function getGradingSetup() {
+    return { totalQuestions, optionCount, questionTypes, correctMarks, wrongMarks, multiScheme, sections, questionNumbers };
+}
+
+// Compare one response with its key answer. Returns { status, marks } (see grading.js)
+function evaluateAnswer(response, keyAnswer, scheme) {
+    return OMRGrading.evaluateAnswer(response, keyAnswer, scheme, getGradingSetup());
+}
+
+// Manual key, as typed in the box. Returns { key } or { error }.
+function parseManualKey(text) {
+    return OMRGrading.parseManualKey(text, totalQuestions, optionCount);
+}
+
 // --- Global Helper: Clear a selected radio button ---
 window.clearSelection = function(i) {
-    const radios = document.getElementsByName(`question-${i}`);
-    radios.forEach(r => {
-        r.checked = false;
-        r.disabled = false; 
+    // A settled practice question has shown its answer - no wiping it for another go
+    if (practiceProgress[i]?.done) return;
+    setResponse(i, null);
+    const row = getQuestionRow(i);
+    if (row && !practiceMode) row.querySelectorAll(`[name="question-${i}"]`).forEach(input => input.disabled = false);
+    clearScanFlag(i);
+    setConfidence(i, ''); // No answer, nothing to be sure of
+    updatePalette();
+    autosave();
+}
+
+window.toggleReview = function(i) {
+    if (reviewFlags[i]) delete reviewFlags[i];
+    else reviewFlags[i] = true;
+    renderReviewState(i);
+    updatePalette();
+    autosave();
+}
+
+// --- Per-Question Time & Review ---
+
+function trackQuestion(target) {
+    if (isSubmitted) return;
+    const i = getRowQuestion(target);
+    if (i !== null) setActiveQuestion(i);
+}
+
+// Bank the time for the question we were on, then start the clock on the new one (null = none)
+function setActiveQuestion(i) {
+    const now = Date.now();
+    if (activeQuestion !== null) questionTimes[activeQuestion] = (questionTimes[activeQuestion] || 0) + (now - activeSince);
+    const changed = activeQuestion !== i;
+    activeQuestion = i;
+    activeSince = now;
+    if (changed) updatePalette();
+}
+
+// Times so far, including the question that's open right now
+function getQuestionTimes() {
+    const times = { ...questionTimes };
+    if (activeQuestion !== null) times[activeQuestion] = (times[activeQuestion] || 0) + (Date.now() - activeSince);
+    return times;
+}
+
+function renderReviewState(i, row = getQuestionRow(i)) {
+    if (!row) return;
+    const marked = !!reviewFlags[i];
+    row.classList.toggle('marked-review', marked);
+    const button = row.querySelector('.review-btn');
+    if (!button) return; // A key being made has no review button
+    button.textContent = marked ? 'Marked' : 'Review';
+    button.setAttribute('aria-pressed', String(marked));
+}
+
+// '' clears it
+function setConfidence(i, level) {
+    if (level) answerConfidence[i] = level;
+    else delete answerConfidence[i];
+    renderConfidenceState(i);
+}
+
+// A picked confidence stays visible, like a marked review button
+function renderConfidenceState(i, row = getQuestionRow(i)) {
+    const select = row && row.querySelector('.confidence-select');
+    if (!select) return;
+    select.value = answerConfidence[i] || '';
+    select.classList.toggle('opacity-50', !answerConfidence[i]);
+    select.classList.toggle('sm:opacity-0', !answerConfidence[i]);
+}
+
+// The palette of question numbers above the sheet, coloured like a real CBT exam
+function updatePalette() {
+    let answered = 0;
+    let marked = 0;
+    const buttons = [];
+    for (let i = 1; i <= totalQuestions; i++) {
+        const isAnswered = !!getResponse(i);
+        if (isAnswered) answered++;
+        if (reviewFlags[i]) marked++;
+        let state = isAnswered ? 'palette-answered' : 'palette-unanswered';
+        if (reviewFlags[i]) state = isAnswered ? 'palette-review-answered' : 'palette-review';
+        buttons.push(`<button type="button" data-q="${i}" class="palette-btn ${state}${i === activeQuestion ? ' palette-current' : ''}" title="Question ${getQuestionNumber(i)}">${getQuestionNumber(i)}</button>`);
+    }
+    paletteGrid.innerHTML = buttons.join('');
+    paletteCounts.innerHTML = `
+        <span class="flex items-center gap-1"><span class="palette-key palette-answered"></span>Answered ${answered}</span>
+        <span class="flex items-center gap-1"><span class="palette-key palette-unanswered"></span>Not Answered ${totalQuestions - answered}</span>
+        <span class="flex items-center gap-1"><span class="palette-key palette-review"></span>Marked for Review ${marked}</span>`;
+    if (keyAuthoring) renderAuthorStatus();
+}
+
+function jumpToQuestion(i) {
+    if (i < 1 || i > totalQuestions) return;
+    // On another page of a big sheet? Go there first
+    if (getQuestionPage(i) !== sheetPage) showSheetPage(getQuestionPage(i));
+    const row = getQuestionRow(i);
+    if (!row) return;
+    row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    // Land on the picked bubble if there is one, like tabbing into a radio group does
+    const input = row.querySelector('input:checked:not([disabled])') || row.querySelector('input:not([disabled])');
+    if (input) input.focus({ preventScroll: true });
+    const response = getResponse(i);
+    announce(`Question ${getQuestionNumber(i)}, ${response ? `answered ${formatKeyAnswer(response)}` : 'not answered'}${reviewFlags[i] ? ', marked for review' : ''}`);
+}
+
+// --- Practice Mode ---
+
+// Check one answer straight away. Right (or out of tries) locks the question; a first miss with
+// second tries on just says so and leaves it open.
+window.checkPracticeAnswer = function(i) {
+    const response = getResponse(i);
+    const progress = practiceProgress[i] || { tries: 0, done: false };
+    if (!response || progress.done || isSubmitted) return;
+    if (!readyForPractice()) return;
+
+    const { status } = evaluateAnswer(response, answerKey[i], getMarkingScheme(i));
+    progress.tries++;
+    progress.right = status === 'correct' || status === 'bonus';
+    progress.done = progress.right || practiceMode !== 'retry' || progress.tries >= 2;
+    practiceProgress[i] = progress;
+    renderPracticeState(i);
+    updatePalette();
+    autosave();
+
+    const number = getQuestionNumber(i);
+    if (progress.right) announce(`Question ${number}: correct${progress.tries > 1 ? ' on the second try' : ''}`);
+    else if (progress.done) announce(`Question ${number}: not right. The answer is ${formatKeyAnswer(answerKey[i])}`);
+    else announce(`Question ${number}: not quite. Try once more`);
+}
+
+// Practice needs the key up front. Returns false (with a message) if we can't check yet.
+function readyForPractice() {
+    if (lockedKey && !manualKeyInput.value.trim()) {
+        showError(checkError, "This shared test's key only unlocks when you submit, so answers can't be checked one by one.");
+        return false;
+    }
+    if (!hasAnswerKey()) {
+        showError(checkError, 'Practice mode checks each answer against the key - upload or type the answer key first.');
+        return false;
+    }
+    const resolved = resolveAnswerKey();
+    if (resolved.error) {
+        showError(checkError, resolved.error);
+        return false;
+    }
+    hideError(checkError);
+    return true;
+}
+
+// Show where a practice question stands: green and locked, red with the answer, or "try again"
+function renderPracticeState(i, row = getQuestionRow(i)) {
+    const progress = practiceProgress[i];
+    if (!row || !progress) return;
+    const { status } = evaluateAnswer(getResponse(i), answerKey[i], getMarkingScheme(i));
+    row.classList.remove('correct', 'partial', 'incorrect', 'bonus');
+    row.classList.add(status === 'unanswered' ? 'incorrect' : status);
+    row.querySelectorAll('.practice-note').forEach(note => note.remove());
+
+    const note = document.createElement('span');
+    note.className = 'practice-note ml-3 text-xs font-bold px-2 py-0.5 rounded-full';
+    if (progress.right) {
+        note.classList.add('text-green-900', 'bg-green-100/50');
+        note.textContent = progress.tries > 1 ? 'Right on 2nd try' : 'Right';
+    } else if (progress.done) {
+        note.classList.add('text-red-900', 'bg-red-100/50');
+        note.textContent = 'Answer shown';
+        showCorrectAnswer(row, i, answerKey[i]);
+    } else {
+        note.classList.add('text-amber-900', 'bg-amber-100/50');
+        note.textContent = 'Not quite - one more try';
+    }
+    row.querySelector('span').after(note);
+
+    // Settled: no more changes (clearSelection would unlock it, so its button goes too)
+    if (progress.done) {
+        row.querySelectorAll(`[name="question-${i}"]`).forEach(input => input.disabled = true);
+        row.querySelectorAll('button:not(.review-btn)').forEach(btn => btn.style.display = 'none');
+    }
+}
+
+// --- Retry Mistakes ---
+
+// A new sheet with just the questions that were wrong, part-right or skipped last time. They keep their
+// original numbers, marks and types, and the key comes along so it can be checked straight away.
+function retryMistakes() {
+    if (!lastResults) return;
+    const picked = [];
+    for (let i = 1; i <= totalQuestions; i++) {
+        if (['incorrect', 'partial', 'unanswered'].includes(lastResults.questions[i].status)) picked.push(i);
+    }
+    if (picked.length === 0) {
+        showStatusMessage('Nothing to retry - every question was right!', 'success');
+        return;
+    }
+
+    const key = {};
+    const explanations = {};
+    picked.forEach((i, k) => {
+        key[k + 1] = answerKey[i];
+        if (keyExplanations[i]) explanations[k + 1] = keyExplanations[i];
     });
+    // Each section shrinks to the retried questions inside it (no "attempt any N" - it's all practice now)
+    const retrySections = [];
+    sections.forEach(section => {
+        const inside = picked.map((i, k) => ({ i, position: k + 1 })).filter(({ i }) => i >= section.from && i <= section.to);
+        if (inside.length > 0) retrySections.push({ ...section, from: inside[0].position, to: inside[inside.length - 1].position, attemptLimit: null });
+    });
+    const config = {
+        ...getConfig(),
+        totalQuestions: picked.length,
+        examDuration: 0,
+        questionTypesSpec: formatQuestionTypes(picked.length, k => getQuestionType(picked[k - 1])),
+        sections: retrySections,
+        questionNumbers: picked.map(getQuestionNumber),
+    };
+    const testName = testNameInput.value.trim() || 'Untitled Test';
+
+    applyConfigToInputs(testName.endsWith('(Retry)') ? testName : `${testName} (Retry)`, config);
+    generateOMRSheet();
+    answerKey = key;
+    keyExplanations = explanations;
+    showStatusMessage(`Retrying ${picked.length} question${picked.length === 1 ? '' : 's'} you missed: Q${formatQuestionList(config.questionNumbers)}. The key is already loaded.`, 'success');
+    autosave();
+}
+
+// --- Keyboard Entry & Transcription ---
+
+// On the sheet: A-E or 1-5 answers, up/down moves, Backspace clears, R marks for review.
+// (Left/right stay as the browser does them for radio buttons.)
+function handleSheetKeydown(e) {
+    if (isSubmitted || e.ctrlKey || e.metaKey || e.altKey) return;
+    const i = getRowQuestion(e.target);
+    if (i === null) return;
+    if (e.target.tagName === 'SELECT') return; // A key's bonus/dropped menu - arrows and letters pick from it
+    const inNumberBox = e.target.type === 'text';
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp' || (inNumberBox && e.key === 'Enter')) {
+        e.preventDefault();
+        const next = e.key === 'ArrowUp' ? i - 1 : i + 1;
+        if (next >= 1 && next <= totalQuestions) jumpToQuestion(next);
+        return;
+    }
+    if (inNumberBox) return; // Typing a number - the keys mean what they say
+
+    if (e.key === 'Backspace' || e.key === 'Delete') {
+        e.preventDefault();
+        if (practiceProgress[i]?.done) return; // Settled - clearSelection leaves it alone
+        clearSelection(i);
+        announce(`Question ${getQuestionNumber(i)} cleared`);
+    } else if (e.key === 'r' || e.key === 'R') {
+        e.preventDefault();
+        toggleReview(i);
+        announce(`Question ${getQuestionNumber(i)} ${reviewFlags[i] ? 'marked for review' : 'no longer marked for review'}`);
+    } else {
+        const option = keyToOption(e.key);
+        const input = option && document.getElementById(`q${i}-opt${option}`);
+        // Locked (a settled practice question) - focus can still be on its Review button
+        if (!input || input.disabled || practiceProgress[i]?.done) return;
+        e.preventDefault();
+        input.checked = input.type === 'checkbox' ? !input.checked : true;
+        input.dispatchEvent(new Event('change', { bubbles: true })); // Autosave, palette, scan flags
+        input.focus();
+        const response = getResponse(i);
+        announce(`Question ${getQuestionNumber(i)}: ${response ? formatKeyAnswer(response) : 'no answer'}`);
+        // One answer per question? Straight on to the next one (unless practice wants a second try here)
+        const settled = !practiceMode || (practiceProgress[i] && practiceProgress[i].done);
+        if (input.type === 'radio' && i < totalQuestions && settled) jumpToQuestion(i + 1);
+    }
+}
+
+// "b" or "2" -> 'B' (null if the sheet doesn't have that option)
+function keyToOption(key) {
+    const options = getOptions();
+    if (/^[a-e]$/i.test(key)) return options.includes(key.toUpperCase()) ? key.toUpperCase() : null;
+    if (/^[1-5]$/.test(key)) return options[parseInt(key, 10) - 1] || null;
+    return null;
+}
+
+// The transcription box fills the sheet as you type, from Q1 on. Same format as the manual key box,
+// plus '-' for a blank. Deleting from the box clears those questions again.
+function handleTranscriptionInput() {
+    if (isSubmitted) return;
+    const tokens = splitKeySequence(transcriptionInput.value);
+    const count = Math.min(tokens.length, totalQuestions);
+    const problems = [];
+    for (let i = 1; i <= count; i++) {
+        const response = readTranscribedAnswer(tokens[i - 1], i);
+        if (response === undefined) problems.push(`Q${getQuestionNumber(i)} ("${tokens[i - 1]}")`);
+        setResponse(i, response || null);
+        clearScanFlag(i);
+    }
+    for (let i = count + 1; i <= transcribedCount; i++) setResponse(i, null);
+    transcribedCount = count;
+    updatePalette();
+    autosave();
+
+    const parts = [`${count} of ${totalQuestions} filled${count < totalQuestions ? ` - next is Q${getQuestionNumber(count + 1)}` : ''}.`];
+    if (problems.length > 0) parts.push(`Not valid, left blank: ${problems.join(', ')}.`);
+    if (tokens.length > totalQuestions) parts.push(`${tokens.length - totalQuestions} extra answer${tokens.length - totalQuestions === 1 ? '' : 's'} ignored.`);
+    transcriptionStatusEl.textContent = parts.join(' ');
+    transcriptionStatusEl.classList.toggle('text-red-700', problems.length > 0);
+
+    // Read back just the last answer typed, not the whole box
+    if (count > 0) {
+        const last = readTranscribedAnswer(tokens[count - 1], count);
+        announce(`Question ${getQuestionNumber(count)}: ${last === undefined ? 'not valid' : last ? formatKeyAnswer(last) : 'skipped'}`);
+    }
+}
+
+// One token from the transcription box as a response: null for '-', undefined if it isn't valid
+function readTranscribedAnswer(token, i) {
+    if (token === '-') return null;
+    let text = token.toUpperCase();
+    if (getQuestionType(i) !== 'numeric' && /^[1-5]+$/.test(text)) {
+        text = Array.from(text, digit => getOptions()[parseInt(digit, 10) - 1] || '?').join('');
+    }
+    const response = normalizeResponse(text, i);
+    // A single-answer question can only hold one letter on screen
+    if (!response || (getQuestionType(i) === 'single' && response.length > 1)) return undefined;
+    return response;
+}
+
+// Say something to screen readers (cleared first so the same message twice is still read)
+function announce(message) {
+    srAnnouncer.textContent = '';
+    setTimeout(() => { srAnnouncer.textContent = message; }, 50);
+}
+
+// After grading: time spent and the review flag on each row
+function addQuestionBadges(row, i) {
+    if (reviewFlags[i]) {
+        const note = document.createElement('span');
+        note.className = 'review-note ml-3 text-xs font-bold text-purple-900 bg-purple-100/50 px-2 py-0.5 rounded-full';
+        note.textContent = 'Marked for review';
+        row.querySelector('span').after(note);
+    }
+    if (questionTimes[i] >= 1000) {
+        const note = document.createElement('span');
+        note.className = 'time-note ml-3 text-xs font-bold text-glass-light bg-white/40 px-2 py-0.5 rounded-full';
+        note.textContent = formatTime(questionTimes[i]);
+        note.title = 'Time spent on this question';
+        row.querySelector('span').after(note);
+    }
+}
+
+// A few lines about where the time went, for the results panel and the PDF
+function getTimeInsights() {
+    const timed = Object.entries(questionTimes).filter(([, ms]) => ms >= 1000).sort((a, b) => b[1] - a[1]);
+    const marked = Object.keys(reviewFlags).map(Number).sort((a, b) => a - b);
+    const lines = [];
+    if (timed.length > 0) {
+        const average = timed.reduce((sum, [, ms]) => sum + ms, 0) / timed.length;
+        lines.push(`Most time: ${timed.slice(0, 3).map(([q, ms]) => `Q${getQuestionNumber(Number(q))} (${formatTime(ms)})`).join(', ')} | Average: ${formatTime(average)} per question`);
+    }
+    if (marked.length > 0) lines.push(`Marked for review: Q${formatQuestionList(marked.map(getQuestionNumber))}`);
+    // Practice: how many were right without needing the second try
+    const practiced = Object.values(practiceProgress).filter(progress => progress.done);
+    if (practiced.length > 0) {
+        const firstTime = practiced.filter(progress => progress.tries === 1 && progress.right).length;
+        lines.push(`Practice: right first time on ${firstTime} of ${practiced.length} checked questions`);
+    }
+    return lines;
+}
+
+function renderTimeInsights() {
+    const lines = getTimeInsights();
+    timeInsightsEl.innerHTML = lines.map(line => `<p>${escapeHTML(line)}</p>`).join('');
+    timeInsightsEl.classList.toggle('hidden', lines.length === 0);
+}
+
+// --- Guessing Analysis ---
+// Did guessing help or hurt? Only worth asking when answers are worth marks (see analyzeGuessing in grading.js)
+
+function getGuessAnalysisLines() {
+    const responses = {};
+    Object.entries(lastResults.questions).forEach(([i, question]) => { responses[i] = question.response; });
+    const analysis = OMRGrading.analyzeGuessing(responses, answerKey, getGradingSetup(), { review: reviewFlags, confidence: answerConfidence });
+    const percent = value => `${Math.round(value * 1000) / 10}%`;
+    const signed = marks => (marks > 0 ? `+${marks}` : `${marks}`);
+    const scheme = item => `${signed(item.correct)} / ${item.wrong}`;
+    const lines = [];
+
+    // Break-even: one line for the whole test, or one per scheme if the sections mark differently
+    const blind = 1 / optionCount;
+    if (analysis.breakEven.every(item => item.accuracy === 0)) {
+        lines.push('No negative marking - a wrong answer costs nothing, so never leave a question blank.');
+    } else if (analysis.breakEven.length === 1) {
+        const { accuracy } = analysis.breakEven[0];
+        lines.push(`A guess pays off when it's right more than ${percent(accuracy)} of the time (${scheme(analysis.breakEven[0])}) - ${accuracy < blind ? `even a blind guess between ${optionCount} options (${percent(blind)}) does` : `a blind guess between ${optionCount} options (${percent(blind)}) doesn't, so only guess when you can rule some out`}.`);
+    } else {
+        lines.push(`A guess pays off when it's right more than: ${analysis.breakEven.map(item => `${percent(item.accuracy)} in ${item.names.join(', ')} (${scheme(item)})`).join(' | ')}`);
+    }
+
+    // What if they'd left those answers blank?
+    const skipLabels = {
+        review: count => `the ${count} answer${count === 1 ? '' : 's'} you marked for review`,
+        guess: count => `your ${count} guess${count === 1 ? '' : 'es'}`,
+        unsure: count => `the ${count} answer${count === 1 ? '' : 's'} you weren't sure of`,
+    };
+    analysis.skips.forEach(skip => {
+        const those = skip.questions.length === 1 ? 'that answer' : 'those answers';
+        const marks = `${Math.abs(skip.change)} mark${Math.abs(skip.change) === 1 ? '' : 's'}`;
+        const verdict = skip.change > 0 ? `${those} cost you ${marks}` : skip.change < 0 ? `${those} earned you ${marks}` : 'no difference';
+        lines.push(`Skipping ${skipLabels[skip.id](skip.questions.length)} (Q${formatQuestionList(skip.questions.map(getQuestionNumber))}): ${skip.score} instead of ${analysis.score} - ${verdict}`);
+    });
+
+    analysis.confidence.forEach(level => {
+        const rated = level.right + level.partial + level.wrong;
+        lines.push(`${CONFIDENCE_LABELS[level.level]}: ${level.right} of ${level.answered} right${rated > 0 ? ` (${percent(level.right / rated)})` : ''}${level.partial ? `, ${level.partial} partial` : ''}, ${level.wrong} wrong - ${signed(level.marks)} marks`);
+    });
+    if (analysis.confidence.length === 0 && analysis.skips.length === 0) {
+        lines.push('Tip: pick Sure, Not sure or Guess next to your answers while you take a test, and this shows whether your guesses paid off.');
+    }
+
+    lines.push(`The same answers marked ${analysis.schemes.map(item => `${item.label}: ${item.score} / ${item.maxScore}${item.current ? ' (this test)' : ''}`).join(' | ')}`);
+    return lines;
+}
+
+function renderGuessAnalysis() {
+    if (!hasMarkingScheme()) {
+        guessAnalysisEl.classList.add('hidden');
+        return;
+    }
+    guessAnalysisEl.innerHTML = `<p class="font-extrabold">Guessing & Negative Marking</p>${getGuessAnalysisLines().map(line => `<p>${escapeHTML(line)}</p>`).join('')}`;
+    guessAnalysisEl.classList.remove('hidden');
 }
 
 // --- FUNCTION: Handle "Finish & Check" click ---
-function handleCheckAnswers() {
-    // Grab manual key if typed
-    const manualKey = manualKeyInput.value.trim().toUpperCase();
-    
-    // Do we have a key?
-    const hasAnswerKey = manualKey || Object.keys(answerKey).length > 0;
-
-    if (hasAnswerKey) {
-         if (manualKey) {
-            // Validate manual key length
-            if (manualKey.length !== totalQuestions) {
-                showError(checkError, `Manual key has ${manualKey.length} answers, but there are ${totalQuestions} questions.`);
+// force: time's up - grade what's there, even with scanned answers nobody has checked yet.
+// Settles once it's done - after a shared key has been unlocked (or wasn't), if there is one
+async function handleCheckAnswers(force = false) {
+    // Scanned answers we weren't sure about need a look first
+    const flagged = getScanFlags();
+    if (flagged.length > 0 && !force) {
+        showError(checkError, `Please check the scanned answers for Q${formatQuestionList(flagged.map(getQuestionNumber))} first (highlighted on the sheet).`);
+        return;
+    }
+
+    // A shared test's key gets unlocked now (a typed key still wins, like an uploaded one)
+    if (lockedKey && !manualKeyInput.value.trim()) {
+        if (lockedKey.salt) {
+            unlockPassphraseInput.value = '';
+            hideError(unlockError);
+            unlockModal.classList.remove('hidden');
+            unlockPassphraseInput.focus();
+            const unlocked = await new Promise(resolve => { pendingUnlock = resolve; });
+            if (!unlocked) return;
+        } else {
+            try {
+                await unlockSharedKey(lockedKey);
+            } catch (err) {
+                showError(checkError, 'The answer key in this shared test is damaged. Ask for a fresh link.');
                 return;
             }
-            // convert string "ABCD..." to object {1:'A', 2:'B'...}
-            answerKey = {};
-            for (let i = 0; i < manualKey.length; i++) answerKey[i + 1] = manualKey[i];
-        } else if (Object.keys(answerKey).length !== totalQuestions) {
-            // Validate file key length
-            showError(checkError, `Uploaded key has ${Object.keys(answerKey).length} answers, but there are ${totalQuestions} questions.`);
+        }
+        return handleCheckAnswers(force);
+    }
+
+    if (hasAnswerKey()) {
+        const resolved = resolveAnswerKey();
+        if (resolved.error) {
+            showError(checkError, resolved.error);
             return;
         }
         gradeSheet();
@@ -199,68 +1211,291 @@ function handleCheckAnswers() {
     }
 }
 
+// Which key grades a sheet of the given set: a typed key wins over an uploaded one, and with keys
+// for several sets, the set's own key wins over the one for every set.
+// Returns { key, explanations } or { error } if there isn't one that fits the sheet.
+function findAnswerKey(set = setCodeInput.value) {
+    const manualKey = manualKeyInput.value.trim().toUpperCase();
+    if (manualKey) {
+        // convert string "ABCD..." to object {1:'A', 2:'B'...} (and check it fits the sheet)
+        const parsed = parseManualKey(manualKey);
+        if (parsed.error) return parsed;
+        return { key: parsed.key, explanations: {} }; // Explanations belonged to the uploaded key
+    }
+    let found = { key: answerKey, explanations: keyExplanations };
+    if (Object.keys(setKeys).length > 0) {
+        found = setKeys[set] || setKeys[''];
+        if (!found) {
+            return { error: set
+                ? `No answer key was loaded for Set ${set}. Upload it with "This Key Is For" set to Set ${set}.`
+                : 'The answer keys loaded are each for one set - choose the Set / Booklet Code in the setup first.' };
+        }
+    }
+    // Validate file key length
+    if (Object.keys(found.key).length !== totalQuestions) {
+        return { error: `Uploaded key${setKeys[set] ? ` for Set ${set}` : ''} has ${Object.keys(found.key).length} answers, but there are ${totalQuestions} questions.` };
+    }
+    return found;
+}
+
+// Settle which key we're grading this sheet with. Returns { key } or { error } if it doesn't fit the sheet.
+function resolveAnswerKey() {
+    const found = findAnswerKey();
+    if (found.error) return found;
+    answerKey = found.key;
+    keyExplanations = found.explanations;
+    return { key: answerKey };
+}
+
+// Do we have a key? (typed or uploaded, for any set)
+function hasAnswerKey() {
+    return manualKeyInput.value.trim() !== '' || Object.keys(answerKey).length > 0 || Object.keys(setKeys).length > 0;
+}
+
+// --- Sets / Booklets ---
+// A paper can come in sets (A-D) with the questions shuffled, so each set needs its own key.
+// Keys loaded for a set wait in setKeys; answerKey is always the one for the candidate's set.
+
+// Keep a freshly loaded key. The first time a set is mentioned, the key we already had becomes the one for every set.
+function storeAnswerKey(key, explanations, set) {
+    if (!set && Object.keys(setKeys).length === 0) {
+        answerKey = key;
+        keyExplanations = explanations;
+        return;
+    }
+    if (Object.keys(setKeys).length === 0 && Object.keys(answerKey).length > 0) setKeys[''] = { key: answerKey, explanations: keyExplanations };
+    setKeys[set] = { key, explanations };
+    // Only one booklet in front of us? Then it's this set
+    if (set && !setCodeInput.value) setCodeInput.value = set;
+    useSetKey();
+}
+
+// Point answerKey at the candidate's set (practice mode checks answers against it as they're given)
+function useSetKey() {
+    if (Object.keys(setKeys).length === 0) return;
+    const found = setKeys[setCodeInput.value] || setKeys[''];
+    answerKey = found ? found.key : {};
+    keyExplanations = found ? found.explanations : {};
+}
+
+// Under "This Key Is For": which sets have a key, and which one this sheet will be checked with
+function renderKeySets() {
+    const loaded = Object.keys(setKeys).sort();
+    if (loaded.length === 0) {
+        keySetsInfoEl.textContent = 'Papers with several sets? Load one key per set - the candidate\'s set picks which one is used.';
+        return;
+    }
+    const names = loaded.map(set => (set ? `Set ${set}` : 'every set'));
+    const set = setCodeInput.value;
+    const using = setKeys[set] ? `Set ${set}` : setKeys[''] ? 'every set' : null;
+    keySetsInfoEl.textContent = `Keys loaded for ${names.join(', ')}. ${using ? `This sheet is checked with the key for ${using}.` : `None fits ${set ? `Set ${set}` : 'a sheet with no set'} - choose the candidate's set in the setup.`}`;
+}
+
 // --- FUNCTION: Grade the Sheet ---
 function gradeSheet() {
     stopTimer();
     hideError(checkError);
     isGraded = true;
-    
-    let correct = 0, incorrect = 0, unanswered = 0;
+    isSubmitted = true;
+    finishAttempt();
 
-    for (let i = 1; i <= totalQuestions; i++) {
-        const row = document.getElementById(`q-row-${i}`);
-        row.classList.remove('correct', 'incorrect');
-        
-        // Find what user clicked
-        const selectedOption = document.querySelector(`input[name="question-${i}"]:checked`);
-        const correctAnswer = answerKey[i];
-        
-        // Lock the question so they can't cheat now!
-        document.querySelectorAll(`input[name="question-${i}"]`).forEach(radio => radio.disabled = true);
-        
-        // Hide clear button
-        const clearBtn = row.querySelector('button');
-        if (clearBtn) clearBtn.style.display = 'none';
-
-        if (!selectedOption) {
-            unanswered++;
-        } else if (selectedOption.value === correctAnswer) {
-            correct++;
-            row.classList.add('correct'); // Green glow
-        } else {
-            incorrect++;
-            row.classList.add('incorrect'); // Red glow
-            // Highlight the correct answer so they learn
-            const correctLabel = row.querySelector(`label[for="q${i}-opt${correctAnswer}"]`);
-            if(correctLabel) correctLabel.classList.add('ring-4', 'ring-green-500/50', 'rounded-full', 'px-2', 'bg-green-100/50');
-        }
-    }
+    lastResults = calculateResults();
+    const { totals } = lastResults;
+    transcriptionInput.disabled = true;
+
+    // Redraw the page with every question locked (so they can't cheat now!) and marked right or wrong
+    renderSheetPage();
     
-    // Calculate Marks if they provided a scheme
-    if (correctMarks !== null) {
-        const totalScore = (correct * correctMarks) + (incorrect * (wrongMarks || 0));
-        const maxScore = totalQuestions * correctMarks;
-        scoreEl.textContent = `${totalScore}`;
-        totalMarksInfoEl.textContent = `out of ${maxScore}`;
-        correctMarksTotalEl.textContent = `Gained: ${correct * correctMarks} marks`;
-        incorrectMarksTotalEl.textContent = `| Lost: ${incorrect * (wrongMarks || 0)} marks`;
+    // Show marks if they provided a scheme, otherwise just the count
+    if (hasMarkingScheme()) {
+        scoreEl.textContent = `${totals.score}`;
+        totalMarksInfoEl.textContent = `out of ${totals.maxScore}`;
+        correctMarksTotalEl.textContent = `Gained: ${totals.gained} marks`;
+        incorrectMarksTotalEl.textContent = `| Lost: ${totals.lost} marks`;
         marksBreakdownEl.classList.remove('hidden');
     } else {
-        scoreEl.textContent = `${correct} / ${totalQuestions}`;
+        scoreEl.textContent = `${totals.correct} / ${totalQuestions}`;
         totalMarksInfoEl.textContent = ``;
         marksBreakdownEl.classList.add('hidden');
     }
+    renderTestDetails();
+    renderSectionResults(lastResults.sections);
+    renderTimeInsights();
+    renderGuessAnalysis();
+
+    // Past attempts are already in history - only record fresh ones
+    if (!isReviewMode) saveToHistory(lastResults);
 
     // Update stats
-    correctCountEl.textContent = `Correct: ${correct}`;
-    incorrectCountEl.textContent = `Incorrect: ${incorrect}`;
-    unansweredCountEl.textContent = `Unanswered: ${unanswered}`;
+    correctCountEl.textContent = `Correct: ${totals.correct}`;
+    partialCountEl.textContent = `Partial: ${totals.partial}`;
+    document.querySelectorAll('.partial-stat').forEach(el => el.classList.toggle('hidden', totals.partial === 0));
+    bonusCountEl.textContent = `Bonus: ${totals.bonus}`;
+    document.querySelectorAll('.bonus-stat').forEach(el => el.classList.toggle('hidden', totals.bonus === 0));
+    incorrectCountEl.textContent = `Incorrect: ${totals.incorrect}`;
+    unansweredCountEl.textContent = `Unanswered: ${totals.unanswered}`;
+    ignoredCountEl.textContent = `Not Counted: ${totals.ignored}`;
+    document.querySelectorAll('.ignored-stat').forEach(el => el.classList.toggle('hidden', totals.ignored === 0));
     
     // Show results
     resultsDisplay.classList.remove('hidden');
     resultsDisplay.classList.add('fade-in');
     savePdfBtn.classList.remove('hidden');
+    retryMistakesBtn.classList.toggle('hidden', !Object.values(lastResults.questions).some(q => ['incorrect', 'partial', 'unanswered'].includes(q.status)));
     resultsDisplay.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    announce(`Results ready. Score ${`${scoreEl.textContent} ${totalMarksInfoEl.textContent}`.trim()}. Correct ${totals.correct}, incorrect ${totals.incorrect}, unanswered ${totals.unanswered}.`);
+}
+
+// Work out every question's result, plus overall totals and per-section subtotals:
+// { questions: {1: { response, status, marks }, ...}, totals: {...}, sections: [{ name, label, ...totals }] }
+// Answers come from the sheet on screen unless another source is given (e.g. a student's row in
+// class grading) - getAnswer(i) returns the same form as getResponse. Likewise the key (a student's own set).
+function calculateResults(getAnswer = getResponse, key = answerKey) {
+    const responses = {};
+    for (let i = 1; i <= totalQuestions; i++) responses[i] = getAnswer(i);
+    return OMRGrading.gradeResponses(responses, key, getGradingSetup());
+}
+
+// Per-section table under the score
+function renderSectionResults(sectionResults) {
+    if (sectionResults.length === 0) {
+        sectionResultsEl.classList.add('hidden');
+        return;
+    }
+    const showMarks = hasMarkingScheme();
+    sectionResultsEl.innerHTML = `
+        <table class="w-full text-left">
+            <thead class="text-xs uppercase text-glass-light">
+                <tr><th class="p-2">Section</th><th class="p-2">${showMarks ? 'Score' : 'Correct'}</th><th class="p-2">C / W / S</th></tr>
+            </thead>
+            <tbody>
+                ${sectionResults.map(section => `
+                <tr class="border-t border-white/30">
+                    <td class="p-2">${escapeHTML(section.name)} <span class="text-xs text-glass-light">(${section.label})</span></td>
+                    <td class="p-2">${showMarks ? `${section.score} / ${section.maxScore}` : `${section.correct} / ${section.questions.length}`}</td>
+                    <td class="p-2 whitespace-nowrap"><span class="text-green-800">${section.correct}</span> / <span class="text-red-800">${section.incorrect}</span> / ${section.unanswered}${section.ignored ? ` <span class="text-xs text-glass-light">(+${section.ignored} not counted)</span>` : ''}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>`;
+    sectionResultsEl.classList.remove('hidden');
+}
+
+// A graded row: the glow for its result, the right answer if they missed it, and notes on how it was scored
+function renderGradedState(i, row) {
+    row.classList.remove('correct', 'partial', 'incorrect', 'ignored', 'bonus');
+    addQuestionBadges(row, i);
+
+    const { status, marks } = lastResults.questions[i];
+    if (status === 'correct') {
+        row.classList.add('correct'); // Green glow
+    } else if (status === 'bonus') {
+        row.classList.add('bonus'); // Purple glow
+    } else if (status === 'partial' || status === 'incorrect') {
+        row.classList.add(status); // Amber or red glow
+        // Highlight the correct answer so they learn
+        showCorrectAnswer(row, i, answerKey[i]);
+    } else if (status === 'ignored') {
+        // Over the section's "attempt any N" limit - answered, but doesn't count
+        row.classList.add('ignored');
+        const note = document.createElement('span');
+        note.className = 'ignored-note ml-3 text-xs font-bold text-glass-light bg-white/40 px-2 py-0.5 rounded-full';
+        note.textContent = 'Not counted';
+        row.querySelector('span').after(note);
+    }
+
+    // Bonus, dropped or several accepted answers - say how it was scored
+    const keyNote = status !== 'ignored' && getKeyNote(answerKey[i], marks);
+    if (keyNote) {
+        const note = document.createElement('span');
+        note.className = 'key-note ml-3 text-xs font-bold text-purple-900 bg-purple-100/50 px-2 py-0.5 rounded-full';
+        note.textContent = keyNote;
+        row.querySelector('span').after(note);
+    }
+}
+
+// Ring the right bubbles, or show the right number next to a numeric box
+function showCorrectAnswer(row, i, correctAnswer) {
+    if (!correctAnswer || isSpecialAnswer(correctAnswer)) return;
+    if (getQuestionType(i) === 'numeric') {
+        if (row.querySelector('.numeric-hint')) return; // Already shown by practice mode
+        const hint = document.createElement('span');
+        hint.className = 'numeric-hint ml-3 text-sm font-bold text-green-800 bg-green-100/50 px-3 py-1 rounded-full';
+        hint.textContent = `Answer: ${formatKeyAnswer(correctAnswer)}`;
+        row.querySelector(`#q${i}-num`)?.after(hint);
+        return;
+    }
+    Array.from(getKeyLetters(correctAnswer)).forEach(option => {
+        const correctLabel = row.querySelector(`label[for="q${i}-opt${option}"]`);
+        if(correctLabel) correctLabel.classList.add('ring-4', 'ring-green-500/50', 'rounded-full', 'px-2', 'bg-green-100/50');
+    });
+}
+
+// --- Sections ---
+
+// Add one row to the sections editor (empty, or filled from a saved section)
+function addSectionRow(section = {}) {
+    const row = document.createElement('div');
+    row.className = 'section-row grid grid-cols-2 sm:grid-cols-7 gap-2 items-center';
+    const value = v => (v === undefined || v === null ? '' : escapeHTML(String(v)));
+    row.innerHTML = `
+        <input type="text" data-field="name" class="glass-input col-span-2 p-3 rounded-xl text-sm" placeholder="Name, e.g. Physics" value="${value(section.name)}">
+        <input type="number" data-field="from" class="glass-input p-3 rounded-xl text-sm" placeholder="From Q" min="1" value="${value(section.from)}">
+        <input type="number" data-field="to" class="glass-input p-3 rounded-xl text-sm" placeholder="To Q" min="1" value="${value(section.to)}">
+        <input type="number" data-field="correctMarks" class="glass-input p-3 rounded-xl text-sm" placeholder="+ Marks" value="${value(section.correctMarks)}">
+        <input type="number" data-field="wrongMarks" class="glass-input p-3 rounded-xl text-sm" placeholder="- Marks" value="${value(section.wrongMarks)}">
+        <div class="flex items-center gap-2">
+            <input type="number" data-field="attemptLimit" class="glass-input w-full p-3 rounded-xl text-sm" placeholder="Attempt any" min="1" title="Only the first N answered questions count (leave empty to count all)" value="${value(section.attemptLimit)}">
+            <button class="text-glass-light hover:text-red-600 font-bold text-xl px-2" title="Remove section">&times;</button>
+        </div>`;
+    row.querySelector('button').addEventListener('click', () => row.remove());
+    sectionsList.appendChild(row);
+}
+
+// Read the sections editor. Returns { sections } or { error } with a friendly message.
+function readSections(count) {
+    const result = [];
+    const rows = Array.from(sectionsList.querySelectorAll('.section-row'));
+    for (let index = 0; index < rows.length; index++) {
+        const field = name => rows[index].querySelector(`[data-field="${name}"]`).value.trim();
+        const number = name => (field(name) === '' ? null : parseFloat(field(name)));
+        const section = {
+            name: field('name') || `Section ${index + 1}`,
+            from: number('from'),
+            to: number('to'),
+            correctMarks: number('correctMarks'),
+            wrongMarks: number('wrongMarks'),
+            attemptLimit: number('attemptLimit'),
+        };
+        // Skip rows that were added but never filled in
+        if (section.from === null && section.to === null && !field('name')) continue;
+
+        if (!Number.isInteger(section.from) || !Number.isInteger(section.to) || section.from < 1 || section.to > count || section.from > section.to) {
+            return { error: `${section.name}: question range must be within 1-${count}.` };
+        }
+        const overlap = result.find(other => section.from <= other.to && section.to >= other.from);
+        if (overlap) return { error: `${section.name} overlaps with ${overlap.name}.` };
+        if (section.attemptLimit !== null && (!Number.isInteger(section.attemptLimit) || section.attemptLimit < 1 || section.attemptLimit > section.to - section.from + 1)) {
+            return { error: `${section.name}: "attempt any" must be between 1 and the number of questions in the section.` };
+        }
+        // Same as the global marks: a positive number for wrong answers means negative marking
+        if (section.wrongMarks !== null && section.wrongMarks > 0) section.wrongMarks = -section.wrongMarks;
+        result.push(section);
+    }
+    return { sections: result.sort((a, b) => a.from - b.from) };
+}
+
+// Marks for a question: its section's, falling back to the global marks
+function getMarkingScheme(i) {
+    return OMRGrading.getMarkingScheme(i, getGradingSetup());
+}
+
+function hasMarkingScheme() {
+    return OMRGrading.hasMarkingScheme(getGradingSetup());
+}
+
+// The sections as lists of questions (plus "Other Questions" for anything outside them)
+function getSectionGroups() {
+    return OMRGrading.getSectionGroups(getGradingSetup());
 }
 
 // --- FUNCTION: Proceed without checking (Just PDF) ---
@@ -268,10 +1503,12 @@ function handleConfirmProceed() {
     confirmModal.classList.add('hidden');
     stopTimer();
     isGraded = false;
+    isSubmitted = true;
+    finishAttempt();
     
     // Lock everything up
-    document.querySelectorAll('input[type="radio"]').forEach(radio => radio.disabled = true);
-    document.querySelectorAll('.question-row button').forEach(btn => btn.style.display = 'none');
+    renderSheetPage();
+    transcriptionInput.disabled = true;
 
     showStatusMessage('You can now save your marked sheet.', 'success');
     
@@ -288,205 +1525,2280 @@ async function saveResultAsPDF() {
     
     // Wait a split second so the UI updates first
     setTimeout(() => {
-         const { jsPDF } = window.jspdf;
-        const pdf = new jsPDF({ orientation: 'p', unit: 'mm', format: 'a4' });
-        
-        const margin = 15;
-        const pdfWidth = pdf.internal.pageSize.getWidth();
-        const pageHeight = pdf.internal.pageSize.getHeight();
-        let yPos = 20;
-
-        // Title
-        pdf.setFont("helvetica", "bold");
-        pdf.setFontSize(16);
-        pdf.text("OMR Test Report", pdfWidth / 2, yPos, { align: 'center' });
-        yPos += 12;
-
-        // Add Score info to PDF if we graded it
-        if (isGraded) {
-            pdf.setFont("helvetica", "normal");
-            pdf.setFontSize(11);
-            
-            const scoreText = scoreEl.textContent.trim();
-            const totalMarksText = totalMarksInfoEl.textContent.trim();
-            pdf.text(`Your Score: ${scoreText} ${totalMarksText}`, margin, yPos);
-            yPos += 7;
-            
-            const timeText = timeTakenInfoEl.textContent.trim();
-            pdf.text(timeText, margin, yPos);
-            yPos += 10;
-            
-            const correctText = correctCountEl.textContent.trim();
-            const incorrectText = incorrectCountEl.textContent.trim();
-            const unansweredText = unansweredCountEl.textContent.trim();
-            pdf.text(`${correctText} | ${incorrectText} | ${unansweredText}`, margin, yPos);
-            yPos += 7;
+        buildReportPDF(getReportData()).save(`${getFileBaseName(true)}_report.pdf`);
+        hideStatusMessage();
+    }, 100);
+}
+
+// How the attempt ended, for the report (e.g. "Submission: Manual | Time Limit: 03:00:00")
+function getSubmissionText() {
+    const mode = submissionMode === 'timeout' ? 'Auto-submitted (time ran out)' : 'Manual';
+    const limit = examDuration ? ` | Time Limit: ${formatTime(examDuration)}` : '';
+    return `Submission: ${mode}${limit}`;
+}
+
+// --- PDF Report ---
+// The report is drawn from this object (built from the grading result), never from what's on the page:
+// { testName, details, date, totalQuestions, timeTaken, submission, marking, marked, graded, totals, sections, groups, insights,
+//   questions: [{ i, number, type, response, key, status, marks, maxMarks, time, review, explanation, tries }] }
+// (number is what the question was called on the original test - it differs from i on a retry sheet;
+// marked is whether marks were set, groups are the sections' questions and maxMarks is what a right answer earns)
+function getReportData() {
+    const results = isGraded ? lastResults : null;
+    return {
+        testName: testNameInput.value.trim(),
+        details: getTestDetails(),
+        date: submittedAt || Date.now(),
+        totalQuestions,
+        timeTaken,
+        submission: getSubmissionText(),
+        marking: getMarkingText(),
+        marked: hasMarkingScheme(),
+        graded: !!results,
+        totals: results ? results.totals : null,
+        sections: results ? results.sections : [],
+        groups: sections.length > 0 ? getSectionGroups().map(({ name, label, questions }) => ({ name, label, questions })) : [],
+        insights: getTimeInsights(),
+        questions: Array.from({ length: totalQuestions }, (_, k) => {
+            const i = k + 1;
+            const result = results ? results.questions[i] : { response: getResponse(i), status: null, marks: null };
+            return {
+                i,
+                number: getQuestionNumber(i),
+                type: getQuestionType(i),
+                ...result,
+                key: results ? answerKey[i] : null,
+                maxMarks: getMarkingScheme(i).correct !== null ? getMarkingScheme(i).correct : 1,
+                time: questionTimes[i] || 0,
+                review: !!reviewFlags[i],
+                explanation: keyExplanations[i] || '',
+                tries: practiceProgress[i] ? practiceProgress[i].tries : 0,
+            };
+        }),
+    };
+}
+
+// e.g. "+4 / -1", with a hint when sections have their own marks
+function getMarkingText() {
+    const ownMarks = sections.some(section => section.correctMarks !== null || section.wrongMarks !== null);
+    if (correctMarks === null) return ownMarks ? 'Set per section' : '1 per correct answer';
+    return `+${correctMarks} / ${wrongMarks || 0}${ownMarks ? ' (some sections differ)' : ''}`;
+}
+
+function buildReportPDF(report) {
+    const { jsPDF } = window.jspdf;
+    const pdf = new jsPDF({ orientation: 'p', unit: 'mm', format: 'a4' });
+    const margin = 15;
+    const pdfWidth = pdf.internal.pageSize.getWidth();
+
+    // Title
+    pdf.setFont("helvetica", "bold");
+    pdf.setFontSize(16);
+    pdf.text("OMR Test Report", pdfWidth / 2, 20, { align: 'center' });
+
+    let yPos = drawReportHeader(pdf, report, 28);
+    if (report.graded) {
+        yPos = drawReportSummary(pdf, report, yPos);
+        yPos = drawReportCharts(pdf, report, yPos);
+        if (report.sections.length > 0) yPos = drawReportSections(pdf, report, yPos);
+    } else {
+        pdf.setFont("helvetica", "italic");
+        pdf.setFontSize(10);
+        pdf.text('Not graded - no answer key was given. Your answers are listed below.', margin, yPos);
+        yPos += 8;
+    }
+    report.insights.forEach(line => {
+        pdf.setFont("helvetica", "normal");
+        pdf.setFontSize(10);
+        pdf.text(line, margin, yPos);
+        yPos += 6;
+    });
+    drawReportAnswers(pdf, report, yPos + 4);
+
+    // Page numbers, now we know how many there are
+    const pages = pdf.getNumberOfPages();
+    for (let page = 1; page <= pages; page++) {
+        pdf.setPage(page);
+        pdf.setFont("helvetica", "normal");
+        pdf.setFontSize(8);
+        pdf.setTextColor(100);
+        pdf.text(`Page ${page} of ${pages}`, pdfWidth - margin, pdf.internal.pageSize.getHeight() - 8, { align: 'right' });
+        pdf.setTextColor(0);
+    }
+    return pdf;
+}
+
+// Who/what/when box at the top, two label-value pairs per line (candidate details only if given)
+function drawReportHeader(pdf, report, yPos) {
+    const margin = 15;
+    const width = pdf.internal.pageSize.getWidth() - margin * 2;
+    const { details } = report;
+    const fields = [
+        ['Candidate', details.candidateName],
+        ['Roll No', details.rollNumber],
+        ['Test', report.testName || 'Untitled Test'],
+        ['Test Code', details.testCode],
+        ['Set', details.setCode],
+        ['Test Date', formatTestDate(details.testDate)],
+        ['Submitted', new Date(report.date).toLocaleString()],
+        ['Questions', String(report.totalQuestions)],
+        ['Marking', report.marking],
+        ['Time Taken', formatTime(report.timeTaken)],
+        ['Submission', report.submission.replace('Submission: ', '')],
+    ].filter(([, value]) => value);
+    const rows = Math.ceil(fields.length / 2);
+    pdf.setFillColor(238, 242, 255);
+    pdf.rect(margin, yPos, width, rows * 6 + 4, 'F');
+    fields.forEach(([label, value], k) => {
+        const x = margin + 3 + (k % 2) * (width / 2);
+        const y = yPos + 6 + Math.floor(k / 2) * 6;
+        pdf.setFont("helvetica", "bold");
+        pdf.setFontSize(9);
+        pdf.text(`${label}:`, x, y);
+        pdf.setFont("helvetica", "normal");
+        pdf.text(pdf.splitTextToSize(value, width / 2 - 25)[0], x + 22, y);
+    });
+    return yPos + rows * 6 + 12;
+}
+
+function drawReportSummary(pdf, report, yPos) {
+    const margin = 15;
+    const { totals, marked } = report;
+    const max = marked ? totals.maxScore : report.totalQuestions;
+    const score = marked ? totals.score : totals.correct;
+    const percent = max > 0 ? Math.round((score / max) * 1000) / 10 : 0;
+
+    pdf.setFont("helvetica", "bold");
+    pdf.setFontSize(14);
+    pdf.text(`Score: ${score} / ${max}  (${percent}%)`, margin, yPos);
+    yPos += 7;
+    pdf.setFont("helvetica", "normal");
+    pdf.setFontSize(10);
+    const counts = ['correct', 'partial', 'bonus', 'incorrect', 'unanswered', 'ignored']
+        .filter(status => totals[status] > 0 || ['correct', 'incorrect', 'unanswered'].includes(status))
+        .map(status => `${REPORT_STATUS[status].label}: ${totals[status]}`);
+    pdf.text(counts.join('  |  '), margin, yPos);
+    yPos += 6;
+    if (marked) {
+        pdf.text(`Marks gained: ${totals.gained}  |  Marks lost: ${totals.lost}`, margin, yPos);
+        yPos += 6;
+    }
+    return yPos + 2;
+}
+
+// Pie of how the questions went, next to bars of the score in each section
+// (or in blocks of 10 questions when there are no sections)
+function drawReportCharts(pdf, report, yPos) {
+    const margin = 15;
+    const pdfWidth = pdf.internal.pageSize.getWidth();
+    const height = 50;
+
+    // Pie + legend on the left
+    const radius = 20;
+    const cx = margin + radius;
+    const cy = yPos + radius + 4;
+    const slices = Object.keys(REPORT_STATUS).filter(status => report.totals[status] > 0);
+    let angle = -Math.PI / 2;
+    slices.forEach(status => {
+        const sweep = (report.totals[status] / report.totalQuestions) * Math.PI * 2;
+        pdf.setFillColor(...REPORT_STATUS[status].color);
+        drawPieSlice(pdf, cx, cy, radius, angle, angle + sweep);
+        angle += sweep;
+    });
+    pdf.setFontSize(8);
+    slices.forEach((status, k) => {
+        pdf.setFillColor(...REPORT_STATUS[status].color);
+        pdf.rect(cx + radius + 5, yPos + 6 + k * 5 - 2.5, 3, 3, 'F');
+        pdf.text(`${REPORT_STATUS[status].label} ${report.totals[status]}`, cx + radius + 10, yPos + 6 + k * 5);
+    });
+
+    // Bars on the right
+    const bars = report.sections.length > 0
+        ? report.sections.map(section => ({ label: section.name, percent: section.maxScore > 0 ? section.score / section.maxScore : 0 }))
+        : getReportBlocks(report);
+    const chartX = margin + 95;
+    const chartWidth = pdfWidth - margin - chartX;
+    const chartBottom = yPos + height - 6;
+    const chartHeight = height - 14;
+    pdf.setFont("helvetica", "bold");
+    pdf.setFontSize(9);
+    pdf.text(report.sections.length > 0 ? 'Score by Section' : 'Score by Question Block', chartX, yPos + 2);
+    pdf.setDrawColor(148, 163, 184);
+    pdf.setLineWidth(0.2);
+    pdf.line(chartX, chartBottom, chartX + chartWidth, chartBottom);
+    const slot = chartWidth / bars.length;
+    const barWidth = Math.min(14, slot * 0.7);
+    pdf.setFont("helvetica", "normal");
+    pdf.setFontSize(7);
+    bars.forEach((bar, k) => {
+        const percent = Math.max(0, Math.min(1, bar.percent)); // Negative scores sit on the axis
+        const x = chartX + k * slot + (slot - barWidth) / 2;
+        const barHeight = percent * chartHeight;
+        pdf.setFillColor(percent >= 0.6 ? 22 : percent >= 0.35 ? 217 : 220, percent >= 0.6 ? 163 : percent >= 0.35 ? 119 : 38, percent >= 0.6 ? 74 : percent >= 0.35 ? 6 : 38);
+        if (barHeight > 0) pdf.rect(x, chartBottom - barHeight, barWidth, barHeight, 'F');
+        pdf.text(`${Math.round(bar.percent * 100)}%`, x + barWidth / 2, chartBottom - barHeight - 1.5, { align: 'center' });
+        pdf.text(pdf.splitTextToSize(bar.label, slot)[0], x + barWidth / 2, chartBottom + 4, { align: 'center' });
+    });
+    pdf.setDrawColor(0);
+    return yPos + height + 4;
+}
+
+// Filled pie slice as a polygon (jsPDF has no arc fill)
+function drawPieSlice(pdf, cx, cy, radius, start, end) {
+    const steps = Math.max(2, Math.ceil((end - start) / 0.1));
+    const points = [[cx, cy]];
+    for (let k = 0; k <= steps; k++) {
+        const angle = start + ((end - start) * k) / steps;
+        points.push([cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)]);
+    }
+    const segments = points.slice(1).map((point, k) => [point[0] - points[k][0], point[1] - points[k][1]]);
+    pdf.lines(segments, cx, cy, [1, 1], 'F', true);
+}
+
+// Score in blocks of 10 questions - shows if things fell apart near the end
+function getReportBlocks(report) {
+    const blocks = [];
+    for (let from = 1; from <= report.totalQuestions; from += 10) {
+        const to = Math.min(from + 9, report.totalQuestions);
+        const questions = report.questions.slice(from - 1, to);
+        const score = questions.reduce((sum, question) => sum + question.marks, 0);
+        const max = questions.reduce((sum, question) => sum + question.maxMarks, 0);
+        const first = questions[0].number;
+        const last = questions[questions.length - 1].number;
+        blocks.push({ label: from === to ? `Q${first}` : `Q${first}-${last}`, percent: max > 0 ? score / max : 0 });
+    }
+    return blocks;
+}
+
+// Section subtotals, one row per section
+function drawReportSections(pdf, report, yPos) {
+    const margin = 15;
+    const columns = [['Section', 0], ['Questions', 62], ['Correct', 88], ['Wrong', 106], ['Skipped', 122], ['Score', 142]];
+    pdf.setFont("helvetica", "bold");
+    pdf.setFontSize(9);
+    columns.forEach(([title, x]) => pdf.text(title, margin + x, yPos));
+    pdf.setLineWidth(0.2);
+    pdf.line(margin, yPos + 2, pdf.internal.pageSize.getWidth() - margin, yPos + 2);
+    yPos += 7;
+    pdf.setFont("helvetica", "normal");
+    report.sections.forEach(section => {
+        const cells = [section.name, section.label, String(section.correct), String(section.incorrect), String(section.unanswered), `${section.score} / ${section.maxScore}`];
+        cells.forEach((text, k) => pdf.text(pdf.splitTextToSize(text, 58)[0], margin + columns[k][1], yPos));
+        yPos += 6;
+    });
+    return yPos + 4;
+}
+
+// The answer table: question, your answer, right answer, result, marks, time. Wrong answers get the
+// explanation from the key file underneath, and sections get a heading and a subtotal row.
+function drawReportAnswers(pdf, report, yPos) {
+    const margin = 15;
+    const pdfWidth = pdf.internal.pageSize.getWidth();
+    const pageBottom = pdf.internal.pageSize.getHeight() - 15;
+    const columns = report.graded
+        ? [['Q', 0], ['Your Answer', 12], ['Correct Answer', 52], ['Result', 100], ['Marks', 128], ['Time', 146], ['Review', 164]]
+        : [['Q', 0], ['Your Answer', 12], ['Time', 100], ['Review', 128]];
+
+    const drawHeader = () => {
+        pdf.setFont("helvetica", "bold");
+        pdf.setFontSize(9);
+        columns.forEach(([title, x]) => pdf.text(title, margin + x, yPos));
+        pdf.setLineWidth(0.2);
+        pdf.line(margin, yPos + 2, pdfWidth - margin, yPos + 2);
+        yPos += 7;
+        pdf.setFont("helvetica", "normal");
+    };
+    const ensureSpace = (needed) => {
+        if (yPos + needed <= pageBottom) return;
+        pdf.addPage();
+        yPos = 20;
+        drawHeader();
+    };
+    ensureSpace(20);
+    drawHeader();
+
+    report.questions.forEach(question => {
+        const { i } = question;
+        const group = report.groups.find(g => g.questions.includes(i));
+        if (group && !group.questions.includes(i - 1)) {
+            ensureSpace(14);
+            pdf.setFont("helvetica", "bold");
+            pdf.setFontSize(9);
+            pdf.setFillColor(238, 242, 255);
+            pdf.rect(margin, yPos - 4, pdfWidth - margin * 2, 6, 'F');
+            pdf.text(`${group.name} (${group.label})`, margin + 2, yPos);
+            yPos += 6;
+            pdf.setFont("helvetica", "normal");
+        }
+
+        // What's shown for a note under the row: not counted, how a special key was scored, the explanation
+        const notes = [];
+        if (report.graded) {
+            if (question.status === 'ignored') notes.push('Not counted - over the section\'s attempt limit.');
+            else if (getKeyNote(question.key, question.marks)) notes.push(getKeyNote(question.key, question.marks));
+            if (question.tries > 1) notes.push('Practice: answered on the second try.');
+            if (question.explanation && ['incorrect', 'partial', 'unanswered'].includes(question.status)) notes.push(`Explanation: ${question.explanation}`);
+        }
+        pdf.setFontSize(8);
+        const noteLines = notes.flatMap(note => pdf.splitTextToSize(note, pdfWidth - margin * 2 - 12));
+        ensureSpace(6 + noteLines.length * 4);
+
+        pdf.setFontSize(9);
+        const yourAnswer = question.response ? formatKeyAnswer(question.response) : '-';
+        const cells = report.graded
+            ? [String(question.number), yourAnswer, formatKeyAnswer(question.key), REPORT_STATUS[question.status].label, question.marks > 0 ? `+${question.marks}` : String(question.marks), question.time >= 1000 ? formatTime(question.time) : '-', question.review ? 'Marked' : '']
+            : [String(question.number), yourAnswer, question.time >= 1000 ? formatTime(question.time) : '-', question.review ? 'Marked' : ''];
+        cells.forEach((text, k) => {
+            if (report.graded && k === 3) pdf.setTextColor(...REPORT_STATUS[question.status].color);
+            if (columns[k][0] === 'Review') pdf.setTextColor(109, 40, 217);
+            const width = (k + 1 < columns.length ? columns[k + 1][1] : pdfWidth - margin * 2) - columns[k][1] - 2;
+            pdf.text(pdf.splitTextToSize(text, width)[0], margin + columns[k][1], yPos);
+            pdf.setTextColor(0);
+        });
+        yPos += 5;
+
+        if (noteLines.length > 0) {
+            pdf.setFont("helvetica", "italic");
+            pdf.setFontSize(8);
+            pdf.setTextColor(71, 85, 105);
+            noteLines.forEach(line => {
+                pdf.text(line, margin + 12, yPos);
+                yPos += 4;
+            });
+            pdf.setTextColor(0);
+            pdf.setFont("helvetica", "normal");
+            yPos += 1;
+        }
+        pdf.setDrawColor(226, 232, 240);
+        pdf.line(margin, yPos - 3, pdfWidth - margin, yPos - 3);
+        pdf.setDrawColor(0);
+        yPos += 1;
+
+        // Subtotal after a section's last question
+        const sectionResult = report.sections.find(s => s.questions[s.questions.length - 1] === i);
+        if (sectionResult) {
+            ensureSpace(8);
+            pdf.setFont("helvetica", "bold");
+            pdf.setFontSize(9);
+            pdf.text(`${sectionResult.name} subtotal: ${sectionResult.score} / ${sectionResult.maxScore}  (Correct ${sectionResult.correct}, Wrong ${sectionResult.incorrect}, Skipped ${sectionResult.unanswered})`, pdfWidth - margin, yPos, { align: 'right' });
+            pdf.setFont("helvetica", "normal");
+            yPos += 8;
+        }
+    });
+    return yPos;
+}
+
+// --- Timer Logic ---
+function startTimer() {
+    clearInterval(timerInterval);
+    startTime = Date.now();
+    submissionMode = null;
+    warningsShown = [];
+    resetTimerStyles();
+    updateTimer();
+    timerInterval = setInterval(updateTimer, 1000);
+}
+
+// Runs every second. Counts up normally, or counts down if there's a time limit
+function updateTimer() {
+    const elapsedTime = Date.now() - startTime;
+    if (Date.now() - lastAutosave >= AUTOSAVE_INTERVAL) autosave();
+    if (!examDuration) {
+        timerDisplay.textContent = formatTime(elapsedTime);
+        return;
+    }
+
+    const remaining = Math.max(0, examDuration - elapsedTime);
+    // Round up so the clock shows 00:01 (not 00:00) during the last second
+    timerDisplay.textContent = formatTime(Math.ceil(remaining / 1000) * 1000);
+
+    // Give a warning the first time we cross each threshold
+    TIMER_WARNINGS.forEach(minutes => {
+        const threshold = minutes * 60 * 1000;
+        if (remaining <= threshold && examDuration > threshold && !warningsShown.includes(minutes)) {
+            warningsShown.push(minutes);
+            showTimerAlert(`${minutes} minute${minutes === 1 ? '' : 's'} left!`);
+        }
+    });
+    if (remaining <= 60 * 1000) {
+        timerDisplay.classList.add('timer-critical');
+    } else if (remaining <= TIMER_WARNINGS[0] * 60 * 1000) {
+        timerDisplay.classList.add('timer-warning');
+    }
+
+    if (remaining === 0) autoSubmit();
+}
+
+// Time's up! Grade if we can, otherwise just lock the sheet
+async function autoSubmit() {
+    submissionMode = 'timeout';
+    showTimerAlert("Time's up! Your sheet was submitted automatically.");
+    // Stop the clock now - a shared key can take a moment (or a passphrase) to open
+    clearInterval(timerInterval);
+    if (hasAnswerKey() || lockedKey) await handleCheckAnswers(true);
+    // No key (or the key didn't match the sheet, or wouldn't unlock) - lock it up so it can still be saved
+    if (!isGraded) handleConfirmProceed();
+}
+
+function stopTimer() {
+    clearInterval(timerInterval);
+    setActiveQuestion(null);
+    if (!submissionMode) submissionMode = 'manual';
+    timeTaken = Date.now() - startTime;
+    submittedAt = Date.now();
+    // Don't let the time taken go past the limit (the last tick can be a bit late)
+    if (examDuration) timeTaken = Math.min(timeTaken, examDuration);
+    timeTakenInfoEl.textContent = `Time Taken: ${formatTime(timeTaken)}`;
+    if (submissionMode === 'timeout') timeTakenInfoEl.textContent += ' (Auto-submitted)';
+}
+
+// Pretty print time (mm:ss, or hh:mm:ss once we go past an hour)
+function formatTime(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60).toString().padStart(2, '0');
+    const seconds = (totalSeconds % 60).toString().padStart(2, '0');
+    return hours > 0 ? `${hours.toString().padStart(2, '0')}:${minutes}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+function showTimerAlert(message) {
+    timerAlertEl.textContent = message;
+    timerAlertEl.classList.remove('hidden');
+}
+
+function resetTimerStyles() {
+    timerDisplay.classList.remove('timer-warning', 'timer-critical');
+    timerAlertEl.classList.add('hidden');
+}
+
+// --- Reset Logic ---
+function resetEverything() {
+    // Starting over means this attempt isn't worth resuming any more
+    finishAttempt();
+    currentAttemptId = null;
+    testNameInput.value = '';
+    applyTestDetails({});
+    questionCountInput.value = '';
+    correctMarksInput.value = '';
+    wrongMarksInput.value = '';
+    durationInput.value = '';
+    optionCountInput.value = '4';
+    questionTypesInput.value = '';
+    multiSchemeInput.value = 'partial';
+    practiceModeInput.value = '';
+    omrContainer.classList.add('hidden');
+    totalQuestions = 0;
+    sheetPage = 1;
+    correctMarks = null;
+    wrongMarks = null;
+    examDuration = 0;
+    optionCount = 4;
+    questionTypes = {};
+    questionTypesSpec = '';
+    multiScheme = 'partial';
+    practiceMode = '';
+    keyAuthoring = false;
+    renderAuthoringMode();
+    questionNumbers = null;
+    sections = [];
+    sectionsList.innerHTML = '';
+    submissionMode = null;
+    resetOMRState();
+    clearInterval(timerInterval);
+    resetTimerStyles();
+    timerDisplay.textContent = '00:00';
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+}
+
+function resetOMRState() {
+    answerKey = {};
+    keyExplanations = {};
+    setKeys = {};
+    keySetInput.value = '';
+    renderKeySets();
+    lockedKey = null;
+    submittedAt = null;
+    fileUpload.value = '';
+    manualKeyInput.value = '';
+    resultsDisplay.classList.add('hidden');
+    resultDetailsEl.classList.add('hidden');
+    marksBreakdownEl.classList.add('hidden');
+    sectionResultsEl.classList.add('hidden');
+    timeInsightsEl.classList.add('hidden');
+    guessAnalysisEl.classList.add('hidden');
+    savePdfBtn.classList.add('hidden');
+    retryMistakesBtn.classList.add('hidden');
+    lastResults = null;
+    practiceProgress = {};
+    questionTimes = {};
+    responses = {};
+    reviewFlags = {};
+    answerConfidence = {};
+    scanFlags = {};
+    keyEdits = {};
+    activeQuestion = null;
+    transcribedCount = 0;
+    transcriptionInput.value = '';
+    transcriptionInput.disabled = false;
+    transcriptionStatusEl.textContent = '';
+    hideError(checkError);
+    hideStatusMessage();
+    isGraded = false;
+    isSubmitted = false;
+    isReviewMode = false;
+    
+    checkBtn.textContent = 'Finish & Check';
+    checkBtn.className = 'w-full btn-liquid-green text-white font-bold py-4 px-6 rounded-2xl transition-all transform active:scale-95 shadow-neon-green';
+    checkBtn.onclick = () => handleCheckAnswers();
+    
+    // Fresh rows - blank, unlocked, no results
+    renderSheetPage();
+    updatePalette();
+}
+
+// --- Autosave & Resume Logic ---
+function loadSavedAttempts() {
+    try {
+        return JSON.parse(localStorage.getItem(SAVED_ATTEMPTS_KEY)) || {};
+    } catch (err) {
+        return {}; // Corrupt or blocked storage - act like there's nothing saved
+    }
+}
+
+function writeSavedAttempts(attempts) {
+    try {
+        localStorage.setItem(SAVED_ATTEMPTS_KEY, JSON.stringify(attempts));
+    } catch (err) {
+        // Storage full or disabled (e.g. private mode). Not worth interrupting the test for.
+    }
+}
+
+// Read the answers into a plain object like {1: 'A', 4: 'AC', 7: '12'}
+function collectResponses() {
+    const responses = {};
+    for (let i = 1; i <= totalQuestions; i++) {
+        const response = getResponse(i);
+        if (response) responses[i] = response;
+    }
+    return responses;
+}
+
+// Snapshot everything needed to rebuild the current attempt
+function autosave() {
+    if (!currentAttemptId || isSubmitted) return;
+    lastAutosave = Date.now();
+
+    const attempts = loadSavedAttempts();
+    const existing = attempts[currentAttemptId];
+    attempts[currentAttemptId] = {
+        id: currentAttemptId,
+        testName: testNameInput.value.trim(),
+        createdAt: existing ? existing.createdAt : Date.now(),
+        updatedAt: Date.now(),
+        config: getConfig(),
+        responses: collectResponses(),
+        questionTimes: getQuestionTimes(),
+        reviewFlags,
+        answerConfidence,
+        practiceProgress,
+        elapsed: Date.now() - startTime,
+        answerKey,
+        keyExplanations,
+        setKeys,
+        lockedKey,
+        manualKey: manualKeyInput.value,
+        details: getTestDetails(),
+    };
+
+    // Only keep the most recent few so we don't fill up storage
+    const ids = Object.keys(attempts).sort((a, b) => attempts[b].updatedAt - attempts[a].updatedAt);
+    ids.slice(MAX_SAVED_ATTEMPTS).forEach(id => delete attempts[id]);
+    writeSavedAttempts(attempts);
+}
+
+// The sheet settings, as saved with attempts and history
+function getConfig() {
+    return { totalQuestions, correctMarks, wrongMarks, examDuration, optionCount, questionTypesSpec, multiScheme, sections, practiceMode, questionNumbers };
+}
+
+// Fill the config inputs from a saved config, ready for generateOMRSheet.
+// Candidate details are only replaced when given (a retry sheet keeps the ones already there)
+function applyConfigToInputs(testName, config, details) {
+    testNameInput.value = testName || '';
+    if (details) applyTestDetails(details);
+    questionCountInput.value = config.totalQuestions;
+    correctMarksInput.value = config.correctMarks !== null ? config.correctMarks : '';
+    wrongMarksInput.value = config.wrongMarks !== null ? config.wrongMarks : '';
+    durationInput.value = config.examDuration ? config.examDuration / 60000 : '';
+    optionCountInput.value = String(config.optionCount || 4);
+    questionTypesInput.value = config.questionTypesSpec || '';
+    multiSchemeInput.value = config.multiScheme || 'partial';
+    practiceModeInput.value = config.practiceMode || '';
+    pendingQuestionNumbers = config.questionNumbers || null;
+    sectionsList.innerHTML = '';
+    (config.sections || []).forEach(section => addSectionRow(section));
+}
+
+// --- Candidate & Test Details ---
+// Who took the test and which paper it was. Shown on the results and the report, saved with
+// attempts and history, and used to name the files we download.
+function getTestDetails() {
+    return {
+        candidateName: candidateNameInput.value.trim(),
+        rollNumber: rollNumberInput.value.trim(),
+        testName: testNameInput.value.trim(),
+        testCode: testCodeInput.value.trim(),
+        testDate: testDateInput.value,
+        setCode: setCodeInput.value,
+    };
+}
+
+// (The test name has its own input - applyConfigToInputs fills that)
+function applyTestDetails(details) {
+    candidateNameInput.value = details.candidateName || '';
+    rollNumberInput.value = details.rollNumber || '';
+    testCodeInput.value = details.testCode || '';
+    testDateInput.value = details.testDate || '';
+    setCodeInput.value = normalizeSetCode(details.setCode);
+}
+
+// "2026-10-19" from the date input -> the local way of writing it
+function formatTestDate(value) {
+    return value ? new Date(`${value}T00:00`).toLocaleDateString() : '';
+}
+
+// e.g. "Asha Verma · Roll No 240117 · Physics Mock 3 (PHY-M3) · Set B · 19/10/2026"
+function formatTestDetails(details) {
+    const test = details.testName && details.testCode ? `${details.testName} (${details.testCode})` : details.testName || details.testCode;
+    return [
+        details.candidateName,
+        details.rollNumber && `Roll No ${details.rollNumber}`,
+        test,
+        details.setCode && `Set ${details.setCode}`,
+        formatTestDate(details.testDate),
+    ].filter(Boolean).join(' \u00b7 ');
+}
+
+function renderTestDetails() {
+    const text = formatTestDetails(getTestDetails());
+    resultDetailsEl.textContent = text;
+    resultDetailsEl.classList.toggle('hidden', !text);
+}
+
+// Test-level details (not the candidate's) for class-wide exports: [[label, value]]
+function getTestInfoRows() {
+    const details = getTestDetails();
+    return [
+        ['Test', details.testName],
+        ['Test Code', details.testCode],
+        ['Test Date', formatTestDate(details.testDate)],
+    ].filter(([, value]) => value);
+}
+
+// The attempt was submitted or thrown away - forget the saved copy
+function finishAttempt() {
+    if (!currentAttemptId) return;
+    const attempts = loadSavedAttempts();
+    delete attempts[currentAttemptId];
+    writeSavedAttempts(attempts);
+}
+
+function offerResume() {
+    const attempts = Object.values(loadSavedAttempts()).sort((a, b) => b.updatedAt - a.updatedAt);
+    if (attempts.length === 0) {
+        resumeModal.classList.add('hidden');
+        return;
+    }
+
+    resumeList.innerHTML = '';
+    attempts.forEach(attempt => {
+        const answered = Object.keys(attempt.responses).length;
+        const item = document.createElement('div');
+        item.className = 'flex items-center justify-between gap-4 bg-white/30 p-4 rounded-xl border border-white/40';
+        item.innerHTML = `
+            <div class="min-w-0">
+                <p class="font-bold text-glass-dark truncate">${escapeHTML(attempt.testName || 'Untitled Test')}${attempt.details && attempt.details.candidateName ? ` <span class="font-medium text-glass-light">- ${escapeHTML(attempt.details.candidateName)}</span>` : ''}</p>
+                <p class="text-xs text-glass-light font-medium">${new Date(attempt.createdAt).toLocaleString()} &middot; ${answered}/${attempt.config.totalQuestions} answered &middot; ${formatTime(attempt.elapsed)}</p>
+            </div>
+            <div class="flex gap-2 flex-shrink-0">
+                <button class="btn-liquid-blue text-white text-sm font-bold py-2 px-4 rounded-xl transition-all transform active:scale-95" data-action="resume">Resume</button>
+                <button class="btn-liquid-slate text-white text-sm font-bold py-2 px-3 rounded-xl transition-all transform active:scale-95" data-action="delete" title="Delete this saved test">&times;</button>
+            </div>`;
+        item.querySelector('[data-action="resume"]').addEventListener('click', () => resumeAttempt(attempt.id));
+        item.querySelector('[data-action="delete"]').addEventListener('click', () => {
+            const saved = loadSavedAttempts();
+            delete saved[attempt.id];
+            writeSavedAttempts(saved);
+            offerResume(); // Redraw the list (closes itself when empty)
+        });
+        resumeList.appendChild(item);
+    });
+    resumeModal.classList.remove('hidden');
+}
+
+function resumeAttempt(id) {
+    const attempt = loadSavedAttempts()[id];
+    resumeModal.classList.add('hidden');
+    if (!attempt) return;
+
+    // Put the config back and rebuild the sheet the normal way
+    applyConfigToInputs(attempt.testName, attempt.config, attempt.details || {});
+    generateOMRSheet();
+
+    // ...then carry on as the saved attempt (not the fresh one generateOMRSheet started),
+    // with the clock where we left it
+    finishAttempt();
+    currentAttemptId = attempt.id;
+    startTime = Date.now() - attempt.elapsed;
+    // Warnings for time already gone were given before the refresh - don't fire them all at once now
+    const remaining = examDuration - attempt.elapsed;
+    warningsShown = examDuration ? TIMER_WARNINGS.filter(minutes => remaining <= minutes * 60 * 1000) : [];
+    Object.entries(attempt.responses).forEach(([q, response]) => setResponse(q, response));
+    questionTimes = attempt.questionTimes || {};
+    reviewFlags = attempt.reviewFlags || {};
+    answerConfidence = attempt.answerConfidence || {};
+    answerKey = attempt.answerKey || {};
+    keyExplanations = attempt.keyExplanations || {};
+    setKeys = attempt.setKeys || {};
+    renderKeySets();
+    lockedKey = attempt.lockedKey || null;
+    practiceProgress = attempt.practiceProgress || {};
+    renderSheetPage(); // Put the saved flags and practice progress back on the rows
+    updatePalette();
+    manualKeyInput.value = attempt.manualKey || '';
+    if (Object.keys(setKeys).length > 0) {
+        showStatusMessage(`Answer keys for ${Object.keys(setKeys).length} set${Object.keys(setKeys).length === 1 ? '' : 's'} loaded from your saved test.`, 'success');
+    } else if (Object.keys(answerKey).length > 0) {
+        showStatusMessage(`${Object.keys(answerKey).length} answers loaded from your saved test.`, 'success');
+    } else if (lockedKey) {
+        showStatusMessage('The shared answer key is still locked - it opens when you submit.', 'success');
+    }
+    updateTimer();
+}
+
+// --- Sharing a Test ---
+
+function showShareModal() {
+    sharePassphraseInput.value = '';
+    shareLinkInput.value = '';
+    shareLinkInput.classList.add('hidden');
+    hideError(shareError);
+    shareModal.classList.remove('hidden');
+}
+
+// Pack the setup and the locked key. Returns a promise for the plain object that goes in the link/file.
+// A key we were sent ourselves gets passed along still locked - we never had it in the clear.
+async function buildSharedTest(passphrase) {
+    // The paper's details go along, but not ours - whoever opens it is a different candidate
+    const { testCode, testDate } = getTestDetails();
+    const shared = { app: 'mock-omr-sheet', version: 1, testName: testNameInput.value.trim(), details: { testCode, testDate }, config: getConfig() };
+    if (lockedKey && !manualKeyInput.value.trim()) {
+        shared.key = lockedKey;
+    } else if (Object.keys(setKeys).length > 0 && !manualKeyInput.value.trim()) {
+        // A key per set - they all go, and the set they pick decides which one checks their sheet
+        shared.key = await lockAnswerKey(answerKey, passphrase);
+    } else if (hasAnswerKey()) {
+        const resolved = resolveAnswerKey();
+        if (resolved.error) throw new Error(resolved.error);
+        shared.key = await lockAnswerKey(resolved.key, passphrase);
+    }
+    return shared;
+}
+
+function getShareLink(shared) {
+    return location.href.split('#')[0] + SHARE_LINK_PREFIX + bytesToBase64Url(new TextEncoder().encode(JSON.stringify(shared)));
+}
+
+function copyShareLink() {
+    hideError(shareError);
+    buildSharedTest(sharePassphraseInput.value)
+        .then(shared => {
+            const link = getShareLink(shared);
+            // Show it too, in case the clipboard is blocked
+            shareLinkInput.value = link;
+            shareLinkInput.classList.remove('hidden');
+            shareLinkInput.select();
+            return (navigator.clipboard ? navigator.clipboard.writeText(link) : Promise.reject()).then(
+                () => showStatusMessage(shared.key ? 'Link copied. The answer key inside is locked.' : 'Link copied (no answer key in it).', 'success'),
+                () => showError(shareError, 'Could not copy automatically - copy the link above instead.')
+            );
+        })
+        .catch(err => showError(shareError, err.message || 'Could not create the link.'));
+}
+
+function downloadShareFile() {
+    hideError(shareError);
+    buildSharedTest(sharePassphraseInput.value)
+        .then(shared => {
+            const blob = new Blob([JSON.stringify(shared, null, 2)], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `${getFileBaseName()}_shared_test.json`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        })
+        .catch(err => showError(shareError, err.message || 'Could not create the file.'));
+}
+
+function openSharedLink() {
+    if (!location.hash.startsWith(SHARE_LINK_PREFIX)) return;
+    let shared = null;
+    try {
+        shared = JSON.parse(new TextDecoder().decode(base64UrlToBytes(location.hash.slice(SHARE_LINK_PREFIX.length))));
+    } catch (err) {
+        // Handled below
+    }
+    // Drop the fragment so a refresh doesn't throw away progress by rebuilding the sheet
+    history.replaceState(null, '', location.href.split('#')[0]);
+    openSharedTest(shared, 'the link');
+}
+
+function handleSharedTestUpload(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        let shared = null;
+        try {
+            shared = JSON.parse(e.target.result);
+        } catch (err) {
+            // Handled below
+        }
+        openSharedTest(shared, file.name);
+    };
+    reader.readAsText(file);
+}
+
+// Rebuild the shared sheet exactly, with its key still locked
+function openSharedTest(shared, source) {
+    const config = shared && shared.config;
+    const key = shared && shared.key;
+    if (!config || !Number.isInteger(config.totalQuestions) || (key && !(key.iv && key.data && (key.secret || key.salt)))) {
+        showError(configError, `Could not open the shared test from ${source}. It may be incomplete - ask for it again.`);
+        return;
+    }
+    resumeModal.classList.add('hidden');
+    applyConfigToInputs(shared.testName, config, { ...getTestDetails(), ...shared.details });
+    generateOMRSheet();
+    if (totalQuestions !== config.totalQuestions || !configError.classList.contains('hidden')) return;
+
+    lockedKey = key || null;
+    if (!lockedKey) {
+        showStatusMessage('Shared test loaded. It has no answer key, so add one when you finish.', 'success');
+    } else if (lockedKey.salt) {
+        showStatusMessage('Shared test loaded. The answer key is locked - you will need the passphrase from whoever shared it to check your answers.', 'success');
+    } else {
+        showStatusMessage('Shared test loaded. The answer key is locked until you submit.', 'success');
+    }
+    autosave();
+}
+
+function unlockWithPassphrase() {
+    hideError(unlockError);
+    unlockSharedKey(lockedKey, unlockPassphraseInput.value)
+        .then(() => closeUnlockModal(true))
+        .catch(() => showError(unlockError, "That passphrase doesn't unlock this key."));
+}
+
+// Hide the passphrase box and tell handleCheckAnswers (waiting on it) whether the key opened
+function closeUnlockModal(unlocked) {
+    unlockModal.classList.add('hidden');
+    const waiting = pendingUnlock;
+    pendingUnlock = null;
+    if (waiting) waiting(unlocked);
+}
+
+// Decrypt the shared key and use it like any uploaded key. Rejects on a wrong passphrase
+// (AES-GCM checks the data hasn't been touched, so a bad key can't decrypt to garbage)
+async function unlockSharedKey(locked, passphrase) {
+    const cryptoKey = locked.salt
+        ? await derivePassphraseKey(passphrase, base64UrlToBytes(locked.salt))
+        : await crypto.subtle.importKey('raw', base64UrlToBytes(locked.secret), 'AES-GCM', false, ['decrypt']);
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64UrlToBytes(locked.iv) }, cryptoKey, base64UrlToBytes(locked.data));
+    const unlocked = JSON.parse(new TextDecoder().decode(plain));
+    answerKey = unlocked.answers;
+    keyExplanations = unlocked.explanations || {};
+    setKeys = unlocked.sets || {};
+    useSetKey();
+    lockedKey = null;
+}
+
+// Encrypt the key (and its explanations, and the keys for other sets). Without a passphrase, the random AES key travels with it - enough to keep
+// the answers out of sight until submission, not a vault.
+async function lockAnswerKey(key, passphrase) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const locked = { iv: bytesToBase64Url(iv) };
+    let cryptoKey;
+    if (passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        cryptoKey = await derivePassphraseKey(passphrase, salt);
+        locked.salt = bytesToBase64Url(salt);
+    } else {
+        cryptoKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt']);
+        locked.secret = bytesToBase64Url(new Uint8Array(await crypto.subtle.exportKey('raw', cryptoKey)));
+    }
+    const sets = Object.keys(setKeys).length > 0 ? setKeys : undefined;
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, cryptoKey, new TextEncoder().encode(JSON.stringify({ answers: key, explanations: keyExplanations, sets })));
+    locked.data = bytesToBase64Url(new Uint8Array(data));
+    return locked;
+}
+
+async function derivePassphraseKey(passphrase, salt) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations: SHARE_PBKDF2_ITERATIONS, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// URL-safe base64 (no +, / or = to get mangled in links)
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => binary += String.fromCharCode(byte));
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+// --- History Dashboard Logic ---
+function loadHistory() {
+    try {
+        const history = JSON.parse(localStorage.getItem(HISTORY_KEY));
+        return Array.isArray(history) ? history : [];
+    } catch (err) {
+        return [];
+    }
+}
+
+function writeHistory(history) {
+    try {
+        localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+    } catch (err) {
+        showError(checkError, 'Could not save this attempt to your history (storage is full or disabled).');
+    }
+}
+
+// Record a graded attempt. Re-grading the same attempt updates its entry instead of adding another.
+function saveToHistory({ totals, sections: sectionResults }) {
+    const { correct, partial, incorrect, unanswered } = totals;
+    const attempted = correct + partial + incorrect;
+    const entry = {
+        id: currentAttemptId || `attempt-${Date.now()}`,
+        testName: testNameInput.value.trim(),
+        details: getTestDetails(),
+        date: Date.now(),
+        config: getConfig(),
+        score: hasMarkingScheme() ? totals.score : correct,
+        maxScore: hasMarkingScheme() ? totals.maxScore : totalQuestions,
+        correct,
+        partial,
+        incorrect,
+        unanswered,
+        accuracy: attempted > 0 ? Math.round((correct / attempted) * 1000) / 10 : 0,
+        negativeMarks: totals.lost,
+        sections: sectionResults.map(s => ({ name: s.name, score: s.score, maxScore: s.maxScore, correct: s.correct, incorrect: s.incorrect, unanswered: s.unanswered })),
+        timeTaken,
+        submissionMode,
+        responses: collectResponses(),
+        questionTimes,
+        reviewFlags,
+        answerConfidence,
+        practiceProgress,
+        answerKey,
+        keyExplanations,
+    };
+    const history = loadHistory().filter(item => item.id !== entry.id);
+    history.push(entry);
+    writeHistory(history);
+}
+
+function showHistory() {
+    const history = loadHistory().sort((a, b) => a.date - b.date);
+    historySection.classList.remove('hidden');
+    historyEmptyEl.classList.toggle('hidden', history.length > 0);
+    historyContentEl.classList.toggle('hidden', history.length === 0);
+
+    if (history.length > 0) {
+        const percents = history.map(item => scorePercent(item));
+        const avgAccuracy = history.reduce((sum, item) => sum + item.accuracy, 0) / history.length;
+        historySummaryEl.innerHTML = [
+            ['Attempts', history.length],
+            ['Best Score', `${Math.max(...percents)}%`],
+            ['Latest Score', `${percents[percents.length - 1]}%`],
+            ['Avg. Accuracy', `${Math.round(avgAccuracy * 10) / 10}%`],
+        ].map(([label, value]) => `
+            <div class="bg-white/30 p-4 rounded-2xl border border-white/40 text-center">
+                <p class="text-xs font-bold text-glass-light uppercase tracking-wide">${label}</p>
+                <p class="text-2xl font-extrabold text-glass-dark mt-1">${value}</p>
+            </div>`).join('');
+
+        // Charts go oldest -> newest so the trend reads left to right
+        const labels = history.map((item, index) => `#${index + 1}`);
+        drawLineChart(historyScoreChart, labels, [
+            { name: 'Score %', color: '#2563eb', values: percents },
+            { name: 'Accuracy %', color: '#16a34a', values: history.map(item => item.accuracy) },
+        ], 100);
+        drawLineChart(historyTimeChart, labels, [
+            { name: 'Minutes Taken', color: '#7c3aed', values: history.map(item => Math.round(item.timeTaken / 6000) / 10) },
+        ]);
+
+        // Table goes newest first
+        historyTableBody.innerHTML = '';
+        history.slice().reverse().forEach(item => {
+            const details = item.details ? formatTestDetails({ ...item.details, testName: '' }) : '';
+            const row = document.createElement('tr');
+            row.className = 'border-b border-white/20';
+            row.innerHTML = `
+                <td class="p-3 whitespace-nowrap">${new Date(item.date).toLocaleString()}</td>
+                <td class="p-3 font-bold">${escapeHTML(item.testName || 'Untitled Test')}${details ? `<span class="block text-xs font-medium text-glass-light">${escapeHTML(details)}</span>` : ''}</td>
+                <td class="p-3 whitespace-nowrap">${item.score} / ${item.maxScore}</td>
+                <td class="p-3">${item.accuracy}%</td>
+                <td class="p-3 text-red-800">${item.negativeMarks}</td>
+                <td class="p-3 whitespace-nowrap">${formatTime(item.timeTaken)}${item.submissionMode === 'timeout' ? ' (Auto)' : ''}</td>
+                <td class="p-3 whitespace-nowrap text-right">
+                    <button class="font-bold text-blue-700 hover:text-blue-900 mr-3" data-action="view">View</button>
+                    <button class="font-bold text-blue-700 hover:text-blue-900 mr-3" data-action="retry" title="New sheet with just the questions you got wrong or skipped">Retry Mistakes</button>
+                    <button class="font-bold text-glass-light hover:text-red-600" data-action="delete" title="Delete this attempt">&times;</button>
+                </td>`;
+            row.querySelector('[data-action="view"]').addEventListener('click', () => viewHistoryAttempt(item.id));
+            row.querySelector('[data-action="retry"]').addEventListener('click', () => {
+                viewHistoryAttempt(item.id);
+                retryMistakes();
+            });
+            row.querySelector('[data-action="delete"]').addEventListener('click', () => {
+                writeHistory(loadHistory().filter(entry => entry.id !== item.id));
+                showHistory();
+            });
+            historyTableBody.appendChild(row);
+        });
+    }
+    historySection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function scorePercent(item) {
+    return item.maxScore > 0 ? Math.round((item.score / item.maxScore) * 1000) / 10 : 0;
+}
+
+// Re-open a past attempt on the sheet, graded and locked
+function viewHistoryAttempt(id) {
+    const item = loadHistory().find(entry => entry.id === id);
+    if (!item) return;
+
+    // Anything in progress gets abandoned (it's still autosaved if it wasn't submitted)
+    autosave();
+    applyConfigToInputs(item.testName, item.config, item.details || {});
+    generateOMRSheet();
+
+    // generateOMRSheet started a new attempt - drop it, we're only looking
+    finishAttempt();
+    currentAttemptId = null;
+    clearInterval(timerInterval);
+    isReviewMode = true;
+    startTime = Date.now() - item.timeTaken;
+    submissionMode = item.submissionMode;
+    Object.entries(item.responses).forEach(([q, response]) => setResponse(q, response));
+    questionTimes = item.questionTimes || {};
+    reviewFlags = item.reviewFlags || {};
+    answerConfidence = item.answerConfidence || {};
+    answerKey = item.answerKey;
+    keyExplanations = item.keyExplanations || {};
+    practiceProgress = item.practiceProgress || {};
+    gradeSheet();
+    submittedAt = item.date;
+    updatePalette();
+    timerDisplay.textContent = formatTime(item.timeTaken);
+
+    historySection.classList.add('hidden');
+    showStatusMessage(`Viewing a past attempt from ${new Date(item.date).toLocaleString()} (read-only).`, 'success');
+}
+
+function exportHistory() {
+    const data = { app: 'mock-omr-sheet', version: 1, exportedAt: new Date().toISOString(), attempts: loadHistory() };
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'omr_history.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// Merge an exported history file into ours (same id = same attempt, so no duplicates)
+function importHistory(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        try {
+            const data = JSON.parse(e.target.result);
+            const imported = Array.isArray(data) ? data : data.attempts;
+            if (!Array.isArray(imported)) throw new Error('No attempts in file');
+
+            const valid = imported.filter(isValidHistoryEntry);
+            const skipped = imported.length - valid.length;
+            const ids = new Set(valid.map(item => item.id));
+            writeHistory(loadHistory().filter(item => !ids.has(item.id)).concat(valid));
+            showHistory();
+            alert(`Imported ${valid.length} attempt${valid.length === 1 ? '' : 's'}.${skipped > 0 ? ` Skipped ${skipped} that ${skipped === 1 ? 'was' : 'were'} missing answers, the key or scores.` : ''}`);
+        } catch (err) {
+            alert('That file is not a valid history export.');
+        }
+        historyImportInput.value = '';
+    };
+    reader.readAsText(file);
+}
+
+// Everything the history table, charts and View need - an entry without it would show NaN or break View
+function isValidHistoryEntry(item) {
+    const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+    return isObject(item) && !!item.id && isObject(item.config) && isObject(item.responses) && isObject(item.answerKey)
+        && ['score', 'maxScore', 'accuracy', 'timeTaken'].every(field => Number.isFinite(item[field]));
+}
+
+function clearHistory() {
+    if (!confirm('Delete your whole attempt history? Export it first if you want to keep a copy.')) return;
+    writeHistory([]);
+    showHistory();
+}
+
+// Tiny line chart on a canvas - enough for a few trend lines without pulling in a chart library
+function drawLineChart(canvas, labels, series, maxValue) {
+    const ctx = canvas.getContext && canvas.getContext('2d');
+    if (!ctx) return;
+
+    // Match the canvas to its on-screen size so lines stay crisp
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth || 400;
+    const height = canvas.clientHeight || 200;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const pad = { top: 24, right: 12, bottom: 22, left: 36 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+    const allValues = series.flatMap(s => s.values);
+    const top = maxValue || Math.max(1, ...allValues);
+    const xAt = index => pad.left + (labels.length === 1 ? plotW / 2 : (index / (labels.length - 1)) * plotW);
+    const yAt = value => pad.top + plotH - (Math.max(0, value) / top) * plotH;
+
+    // Grid lines + y labels
+    ctx.font = '11px Inter, sans-serif';
+    ctx.fillStyle = '#334155';
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.lineWidth = 1;
+    for (let step = 0; step <= 4; step++) {
+        const value = (top / 4) * step;
+        const y = yAt(value);
+        ctx.beginPath();
+        ctx.moveTo(pad.left, y);
+        ctx.lineTo(width - pad.right, y);
+        ctx.stroke();
+        ctx.fillText(`${Math.round(value)}`, 4, y + 4);
+    }
+    labels.forEach((label, index) => {
+        // Don't crowd the x axis when there are lots of attempts
+        if (labels.length <= 12 || index % Math.ceil(labels.length / 12) === 0) {
+            ctx.fillText(label, xAt(index) - 8, height - 6);
+        }
+    });
+
+    // The lines themselves, plus a legend along the top
+    series.forEach((s, seriesIndex) => {
+        ctx.strokeStyle = s.color;
+        ctx.fillStyle = s.color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        s.values.forEach((value, index) => {
+            if (index === 0) ctx.moveTo(xAt(index), yAt(value));
+            else ctx.lineTo(xAt(index), yAt(value));
+        });
+        ctx.stroke();
+        s.values.forEach((value, index) => {
+            ctx.beginPath();
+            ctx.arc(xAt(index), yAt(value), 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
+        ctx.fillRect(pad.left + seriesIndex * 110, 6, 10, 10);
+        ctx.fillStyle = '#0f172a';
+        ctx.fillText(s.name, pad.left + seriesIndex * 110 + 14, 15);
+    });
+}
+
+// --- Paper Sheets: Print & Scan ---
+// The printed sheet has a fixed layout with a solid square in each corner. When a photo or scan of
+// it comes back we find those squares, undo the perspective, and measure how much of each bubble
+// is inked in. It all happens on a canvas in the browser - nothing is uploaded anywhere.
+
+// Where everything sits on the printed sheet (in mm). Questions run down each column, then across,
+// then on to the next page. Page 1 also has the roll-number grid.
+// [{ number, top, columns: [{ x, bubbles }], rollNumber, questions: [{ i, type, x, y, bubbles: [{ option, x, y }] }] }]
+function getScanLayout() {
+    const left = 20;
+    const right = SCAN_PAGE_WIDTH - 20;
+    const bottom = SCAN_PAGE_HEIGHT - 25;
+    const rowHeight = 7;
+    const optionSpacing = 7;
+    const numberWidth = 10;
+    const columnGap = 5;
+    const columnWidth = numberWidth + optionCount * optionSpacing + columnGap;
+    const columnCount = Math.floor((right - left + columnGap) / columnWidth);
+    const bubbleX = (x, k) => x + numberWidth + SCAN_BUBBLE_RADIUS + k * optionSpacing;
+
+    const pages = [];
+    let i = 1;
+    while (i <= totalQuestions) {
+        const first = pages.length === 0;
+        const top = first ? SCAN_FIRST_PAGE_TOP : 46;
+        const rows = Math.floor((bottom - top) / rowHeight) + 1;
+        const page = { number: pages.length + 1, top, columns: [], questions: [], rollNumber: first ? getRollNumberLayout() : null };
+        for (let column = 0; column < columnCount && i <= totalQuestions; column++) {
+            const x = left + column * columnWidth;
+            // Where the A B C D headings go above the column
+            page.columns.push({ x, bubbles: getOptions().map((option, k) => ({ option, x: bubbleX(x, k) })) });
+            for (let row = 0; row < rows && i <= totalQuestions; row++, i++) {
+                const y = top + row * rowHeight;
+                const type = getQuestionType(i);
+                const bubbles = type === 'numeric' ? [] : getOptions().map((option, k) => ({ option, x: bubbleX(x, k), y }));
+                page.questions.push({ i, type, x, y, width: numberWidth + optionCount * optionSpacing, bubbles });
+            }
+        }
+        pages.push(page);
+    }
+    return pages;
+}
+
+// The roll-number grid on page 1: one column of 0-9 bubbles per digit
+function getRollNumberLayout() {
+    const x0 = 128;
+    const y0 = 58;
+    const spacing = 6;
+    return Array.from({ length: SCAN_ROLL_DIGITS }, (_, d) =>
+        Array.from({ length: 10 }, (_, digit) => ({ option: String(digit), x: x0 + d * spacing, y: y0 + digit * spacing })));
+}
+
+// Centres of the corner squares: top-left, top-right, bottom-right, bottom-left
+function getMarkerCenters() {
+    const offset = SCAN_MARKER_INSET + SCAN_MARKER_SIZE / 2;
+    return [
+        { x: offset, y: offset },
+        { x: SCAN_PAGE_WIDTH - offset, y: offset },
+        { x: SCAN_PAGE_WIDTH - offset, y: SCAN_PAGE_HEIGHT - offset },
+        { x: offset, y: SCAN_PAGE_HEIGHT - offset },
+    ];
+}
+
+// A blank sheet for the current setup, to fill in with a pen and scan back in
+function printBlankSheet() {
+    const { jsPDF } = window.jspdf;
+    const pdf = new jsPDF({ orientation: 'p', unit: 'mm', format: 'a4' });
+    const pages = getScanLayout();
+    const testName = testNameInput.value.trim();
+    const r = SCAN_BUBBLE_RADIUS;
+    const withQRCode = sheetQrToggle.checked && typeof qrcode !== 'undefined';
+
+    pages.forEach((page, index) => {
+        if (index > 0) pdf.addPage();
+
+        // Corner squares - the scanner lines the page up with these
+        pdf.setFillColor(0, 0, 0);
+        getMarkerCenters().forEach(center => {
+            pdf.rect(center.x - SCAN_MARKER_SIZE / 2, center.y - SCAN_MARKER_SIZE / 2, SCAN_MARKER_SIZE, SCAN_MARKER_SIZE, 'F');
+        });
+
+        pdf.setTextColor(0);
+        pdf.setDrawColor(0);
+        pdf.setLineWidth(0.3);
+        pdf.setFont("helvetica", "bold");
+        pdf.setFontSize(16);
+        pdf.text(testName || 'OMR Answer Sheet', SCAN_PAGE_WIDTH / 2, 24, { align: 'center' });
+        pdf.setFont("helvetica", "normal");
+        pdf.setFontSize(9);
+        pdf.text(`Page ${page.number} of ${pages.length}`, SCAN_PAGE_WIDTH / 2, 30, { align: 'center' });
+
+        if (page.rollNumber) {
+            drawCandidateFields(pdf, getTestDetails(), withQRCode);
+            drawRollNumberGrid(pdf, page.rollNumber);
         } else {
-             // Just time taken if not graded
-             const timeText = timeTakenInfoEl.textContent.trim();
-             pdf.setFont("helvetica", "normal");
-             pdf.setFontSize(11);
-             pdf.text(timeText, margin, yPos);
-             yPos += 10;
+            // Later pages: room for the roll number in case the pages get separated
+            pdf.text('Roll No.', 130, 35);
+            pdf.rect(145, 31, 45, 6, 'D');
+        }
+
+        // A B C D above each column
+        pdf.setFont("helvetica", "bold");
+        pdf.setFontSize(8);
+        page.columns.forEach(column => {
+            column.bubbles.forEach(bubble => pdf.text(bubble.option, bubble.x, page.top - 5, { align: 'center' }));
+        });
+
+        page.questions.forEach(question => {
+            pdf.setFont("helvetica", "bold");
+            pdf.setFontSize(9);
+            pdf.setTextColor(0);
+            pdf.text(`${getQuestionNumber(question.i)}`, question.x + 7, question.y + 1.2, { align: 'right' });
+            if (question.type === 'numeric') {
+                // We can't read handwriting - this one gets typed in after scanning
+                pdf.rect(question.x + 9, question.y - r, question.width - 10, r * 2, 'D');
+                return;
+            }
+            question.bubbles.forEach(bubble => {
+                // Multiple-correct questions get square boxes, like on screen
+                if (question.type === 'multi') pdf.rect(bubble.x - r, bubble.y - r, r * 2, r * 2, 'D');
+                else pdf.circle(bubble.x, bubble.y, r, 'D');
+            });
+        });
+    });
+    pdf.save(`${getFileBaseName()}_blank_sheet.pdf`);
+}
+
+// Page 1, left side: candidate name, test ID, the QR code and how to fill the sheet in.
+// Whatever details are filled in already get printed in the boxes.
+function drawCandidateFields(pdf, details, withQRCode) {
+    pdf.setFont("helvetica", "bold");
+    pdf.setFontSize(9);
+    pdf.text('Candidate Name', 20, 41);
+    pdf.rect(20, 43, 95, 8, 'D');
+    pdf.text('Test ID', 20, 58);
+    pdf.rect(20, 60, 95, 8, 'D');
+    pdf.setFont("helvetica", "normal");
+    pdf.setFontSize(10);
+    if (details.candidateName) pdf.text(pdf.splitTextToSize(details.candidateName, 90)[0], 22, 48.5);
+    const testId = [details.testCode || details.testName, details.setCode && `Set ${details.setCode}`, formatTestDate(details.testDate)].filter(Boolean).join(' - ');
+    if (testId) pdf.text(pdf.splitTextToSize(testId, 90)[0], 22, 65.5);
+
+    let textX = 20;
+    if (withQRCode) {
+        drawConfigQRCode(pdf, 20, 76, 34);
+        textX = 60;
+    }
+    pdf.setFont("helvetica", "normal");
+    pdf.setFontSize(8);
+    const instructions = [
+        'Fill bubbles completely with a dark pen.',
+        'One bubble per question. Square boxes:',
+        'fill every correct option.',
+        'Write numeric answers in the box.',
+        'Keep the black corner squares clean.',
+    ];
+    instructions.forEach((line, k) => pdf.text(line, textX, 80 + k * 5));
+}
+
+// Page 1, right side: write the roll number in the boxes, then fill one bubble per digit
+function drawRollNumberGrid(pdf, digits) {
+    const r = SCAN_BUBBLE_RADIUS;
+    pdf.setFont("helvetica", "bold");
+    pdf.setFontSize(9);
+    pdf.text('Roll Number', digits[0][0].x - r, 41);
+    digits.forEach(column => {
+        pdf.rect(column[0].x - r - 0.5, 44, r * 2 + 1, 7, 'D');
+        pdf.setFont("helvetica", "normal");
+        pdf.setFontSize(6);
+        column.forEach(bubble => {
+            pdf.circle(bubble.x, bubble.y, r, 'D');
+            // Tiny light-grey digit inside, like real sheets (light enough not to count as ink)
+            pdf.setTextColor(170);
+            pdf.text(bubble.option, bubble.x, bubble.y + 0.8, { align: 'center' });
+            pdf.setTextColor(0);
+        });
+    });
+}
+
+// QR code with the test setup, so anyone scanning it knows which test the sheet is for
+function drawConfigQRCode(pdf, x, y, size) {
+    const qr = qrcode(0, 'M');
+    qr.addData(JSON.stringify({ testName: testNameInput.value.trim(), config: getConfig() }));
+    qr.make();
+    const count = qr.getModuleCount();
+    const cell = size / count;
+    pdf.setFillColor(0, 0, 0);
+    for (let row = 0; row < count; row++) {
+        for (let col = 0; col < count; col++) {
+            if (qr.isDark(row, col)) pdf.rect(x + col * cell, y + row * cell, cell, cell, 'F');
+        }
+    }
+}
+
+function handleScanUpload(event) {
+    const files = Array.from(event.target.files);
+    event.target.value = ''; // So the same photo can be picked again
+    if (files.length === 0) return;
+    if (isSubmitted) {
+        showError(checkError, 'This sheet has already been submitted. Generate a new sheet to scan another one.');
+        return;
+    }
+    hideError(checkError);
+    showStatusMessage('Reading the scanned sheet...', 'success');
+
+    Promise.all(files.map(loadScanPages))
+        .then(pageLists => applyScanResults(scanPages(pageLists.flat())))
+        .catch(err => {
+            hideStatusMessage();
+            showError(checkError, err.message || 'Could not read the scanned sheet.');
+        });
+}
+
+// Each photo is one page, a PDF is one page per PDF page. They all end up as canvases.
+function loadScanPages(file) {
+    if (file.name.toLowerCase().endsWith('.pdf')) {
+        return file.arrayBuffer()
+            .then(buffer => pdfjsLib.getDocument(new Uint8Array(buffer)).promise)
+            .then(pdf => {
+                const pages = [];
+                for (let n = 1; n <= pdf.numPages; n++) pages.push(pdf.getPage(n).then(renderScanPage));
+                return Promise.all(pages);
+            });
+    }
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        const url = URL.createObjectURL(file);
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            // Phone photos are huge - shrinking them makes scanning much faster and loses nothing we need
+            const scale = Math.min(1, SCAN_MAX_SIZE / Math.max(image.width, image.height));
+            const canvas = createWhiteCanvas(Math.round(image.width * scale), Math.round(image.height * scale));
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+            resolve([canvas]);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error(`Couldn't open ${file.name} as an image.`));
+        };
+        image.src = url;
+    });
+}
+
+function renderScanPage(page) {
+    const size = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: SCAN_MAX_SIZE / Math.max(size.width, size.height) });
+    const canvas = createWhiteCanvas(Math.round(viewport.width), Math.round(viewport.height));
+    return page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise.then(() => canvas);
+}
+
+// Transparent pixels would read as black, so start from white paper
+function createWhiteCanvas(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, width, height);
+    return canvas;
+}
+
+// Read every page against the printed layout. Returns { answers: [{ i, response, flag }], rollNumber: { value, flag } }
+// where flag says why a person should double-check it (or is null). Throws with a friendly message if a page can't be read.
+function scanPages(canvases) {
+    const layout = getScanLayout();
+    if (canvases.length !== layout.length) {
+        throw new Error(`The printed sheet has ${layout.length} page(s), but ${canvases.length} were uploaded. Upload every page, in order.`);
+    }
+    const answers = [];
+    let rollNumber = { value: '', flag: null };
+    canvases.forEach((canvas, index) => {
+        const image = getGrayImage(canvas);
+        const markers = findMarkers(image);
+        const transform = markers && computeHomography(getMarkerCenters(), markers);
+        if (!transform) {
+            throw new Error(`Couldn't find the four corner squares on page ${index + 1}. Retake it with the whole page in view, flat and well lit.`);
+        }
+        if (layout[index].rollNumber) rollNumber = readRollNumber(image, transform, layout[index].rollNumber);
+        layout[index].questions.forEach(question => {
+            if (question.type === 'numeric') {
+                answers.push({ i: question.i, response: null, flag: 'Numeric - type in the answer from the paper' });
+                return;
+            }
+            const fills = question.bubbles.map(bubble => measureBubble(image, transform, bubble));
+            answers.push({ i: question.i, ...readScannedQuestion(question, fills) });
+        });
+    });
+    return { answers, rollNumber };
+}
+
+// Each digit column is read like a single-answer question. Empty columns at the end are fine (shorter roll numbers).
+function readRollNumber(image, transform, digits) {
+    const read = digits.map(column => readScannedQuestion({ type: 'single', bubbles: column }, column.map(bubble => measureBubble(image, transform, bubble))));
+    const value = read.map(digit => digit.response || ' ').join('').trimEnd();
+    const problems = read.map((digit, d) => (digit.flag ? `digit ${d + 1}: ${digit.flag}` : null)).filter(Boolean);
+    if (value.includes(' ')) problems.push('a digit in the middle is empty');
+    return { value: value.replace(/ /g, '?'), flag: problems.length > 0 ? problems.join('; ') : null };
+}
+
+// Greyscale pixels (0 = black) plus the ink/paper cut-off for this photo
+function getGrayImage(canvas) {
+    const { width, height } = canvas;
+    const rgba = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+    const gray = new Uint8Array(width * height);
+    for (let p = 0; p < gray.length; p++) {
+        gray[p] = (rgba[p * 4] * 299 + rgba[p * 4 + 1] * 587 + rgba[p * 4 + 2] * 114) / 1000;
+    }
+    return { width, height, gray, threshold: otsuThreshold(gray) };
+}
+
+// Otsu's method: the grey level that best splits the picture into ink and paper
+function otsuThreshold(gray) {
+    const histogram = new Array(256).fill(0);
+    gray.forEach(value => histogram[value]++);
+    const total = gray.length;
+    let sumAll = 0;
+    for (let level = 0; level < 256; level++) sumAll += level * histogram[level];
+
+    let sumBelow = 0, countBelow = 0, best = 0, threshold = 128;
+    for (let level = 0; level < 256; level++) {
+        countBelow += histogram[level];
+        if (countBelow === 0) continue;
+        const countAbove = total - countBelow;
+        if (countAbove === 0) break;
+        sumBelow += level * histogram[level];
+        const meanBelow = sumBelow / countBelow;
+        const meanAbove = (sumAll - sumBelow) / countAbove;
+        const spread = countBelow * countAbove * (meanBelow - meanAbove) ** 2;
+        if (spread > best) {
+            best = spread;
+            threshold = level + 1;
         }
+    }
+    return threshold;
+}
+
+// The solid square nearest each corner of the photo: [topLeft, topRight, bottomRight, bottomLeft] or null
+function findMarkers(image) {
+    const { width, height } = image;
+    const regionWidth = Math.floor(width * 0.4);
+    const regionHeight = Math.floor(height * 0.4);
+    const minSide = Math.min(width, height) * 0.01;
+    const maxSide = Math.min(width, height) * 0.12;
+    const corners = [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }];
+
+    const markers = corners.map(corner => {
+        const x0 = corner.x === 0 ? 0 : width - regionWidth;
+        const y0 = corner.y === 0 ? 0 : height - regionHeight;
+        const candidates = findDarkBlobs(image, x0, y0, regionWidth, regionHeight).filter(blob =>
+            blob.width >= minSide && blob.height >= minSide && blob.width <= maxSide && blob.height <= maxSide &&
+            blob.width / blob.height > 0.5 && blob.width / blob.height < 2 && blob.fill >= 0.6);
+        const distance = blob => Math.hypot(blob.x - corner.x, blob.y - corner.y);
+        candidates.sort((a, b) => distance(a) - distance(b));
+        return candidates[0] || null;
+    });
+    return markers.every(Boolean) ? markers.map(blob => ({ x: blob.x, y: blob.y })) : null;
+}
+
+// Connected patches of ink inside a region: centre, size and how solid they are
+function findDarkBlobs(image, x0, y0, regionWidth, regionHeight) {
+    const { width, gray, threshold } = image;
+    const isDark = (x, y) => gray[(y0 + y) * width + x0 + x] < threshold;
+    const seen = new Uint8Array(regionWidth * regionHeight);
+    const blobs = [];
+
+    for (let y = 0; y < regionHeight; y++) {
+        for (let x = 0; x < regionWidth; x++) {
+            if (seen[y * regionWidth + x] || !isDark(x, y)) continue;
+            let count = 0, sumX = 0, sumY = 0, minX = x, maxX = x, minY = y, maxY = y;
+            const stack = [y * regionWidth + x];
+            seen[y * regionWidth + x] = 1;
+            while (stack.length > 0) {
+                const p = stack.pop();
+                const px = p % regionWidth;
+                const py = (p - px) / regionWidth;
+                count++;
+                sumX += px;
+                sumY += py;
+                minX = Math.min(minX, px);
+                maxX = Math.max(maxX, px);
+                minY = Math.min(minY, py);
+                maxY = Math.max(maxY, py);
+                [[px - 1, py], [px + 1, py], [px, py - 1], [px, py + 1]].forEach(([nx, ny]) => {
+                    if (nx < 0 || ny < 0 || nx >= regionWidth || ny >= regionHeight) return;
+                    const n = ny * regionWidth + nx;
+                    if (seen[n] || !isDark(nx, ny)) return;
+                    seen[n] = 1;
+                    stack.push(n);
+                });
+            }
+            const blobWidth = maxX - minX + 1;
+            const blobHeight = maxY - minY + 1;
+            blobs.push({ x: x0 + sumX / count, y: y0 + sumY / count, width: blobWidth, height: blobHeight, fill: count / (blobWidth * blobHeight) });
+        }
+    }
+    return blobs;
+}
+
+// Perspective transform taking points on the page (mm) to pixels in the photo, from 4 matching points
+function computeHomography(from, to) {
+    const matrix = [];
+    const values = [];
+    from.forEach(({ x, y }, k) => {
+        const { x: u, y: v } = to[k];
+        matrix.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+        values.push(u);
+        matrix.push([0, 0, 0, x, y, 1, -v * x, -v * y]);
+        values.push(v);
+    });
+    const h = solveLinearSystem(matrix, values);
+    return h ? [...h, 1] : null;
+}
+
+// Gaussian elimination. Returns null if the points don't make a usable shape.
+function solveLinearSystem(matrix, values) {
+    const n = values.length;
+    const rows = matrix.map((row, k) => [...row, values[k]]);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < n; r++) {
+            if (Math.abs(rows[r][col]) > Math.abs(rows[pivot][col])) pivot = r;
+        }
+        if (Math.abs(rows[pivot][col]) < 1e-9) return null;
+        [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+        for (let r = 0; r < n; r++) {
+            if (r === col) continue;
+            const factor = rows[r][col] / rows[col][col];
+            for (let c = col; c <= n; c++) rows[r][c] -= factor * rows[col][c];
+        }
+    }
+    return rows.map((row, k) => row[n] / row[k]);
+}
+
+function projectPoint(h, x, y) {
+    const w = h[6] * x + h[7] * y + h[8];
+    return { x: (h[0] * x + h[1] * y + h[2]) / w, y: (h[3] * x + h[4] * y + h[5]) / w };
+}
+
+// How much of a bubble is inked in (0 to 1). We only look inside the printed outline.
+function measureBubble(image, transform, bubble) {
+    const radius = SCAN_BUBBLE_RADIUS * 0.65;
+    const step = radius / 4;
+    let dark = 0, total = 0;
+    for (let dy = -radius; dy <= radius + 1e-9; dy += step) {
+        for (let dx = -radius; dx <= radius + 1e-9; dx += step) {
+            if (dx * dx + dy * dy > radius * radius + 1e-9) continue;
+            const point = projectPoint(transform, bubble.x + dx, bubble.y + dy);
+            const px = Math.round(point.x);
+            const py = Math.round(point.y);
+            if (px < 0 || py < 0 || px >= image.width || py >= image.height) continue;
+            total++;
+            if (image.gray[py * image.width + px] < image.threshold) dark++;
+        }
+    }
+    return total > 0 ? dark / total : 0;
+}
+
+// Fill levels -> an answer, plus why it needs a second look (or null)
+function readScannedQuestion(question, fills) {
+    const options = question.bubbles.map(bubble => bubble.option);
+    const filled = options.filter((_, k) => fills[k] >= SCAN_FILLED);
+    const faint = options.filter((_, k) => fills[k] > SCAN_EMPTY && fills[k] < SCAN_FILLED);
+
+    if (question.type === 'multi') {
+        // Faint marks count if they're closer to filled than empty - but we ask
+        const midpoint = (SCAN_FILLED + SCAN_EMPTY) / 2;
+        const picked = options.filter((_, k) => fills[k] >= midpoint);
+        return { response: picked.join('') || null, flag: faint.length > 0 ? `Faint mark on ${faint.join(', ')} - check it` : null };
+    }
+    if (filled.length > 1) {
+        return { response: null, flag: `More than one bubble filled (${filled.join(', ')}) - pick one` };
+    }
+    if (faint.length > 0) {
+        // A light mark, or a rubbed-out one next to the real answer
+        const guess = filled[0] || options[fills.indexOf(Math.max(...fills))];
+        const also = filled.length > 0 ? ` as well as ${filled[0]}` : '';
+        return { response: guess, flag: `Faint mark on ${faint.join(', ')}${also} - check it` };
+    }
+    return { response: filled[0] || null, flag: null };
+}
 
-        // Line separator
-        pdf.setLineWidth(0.2);
-        pdf.line(margin, yPos, pdfWidth - margin, yPos);
-        yPos += 10;
-
-        // Draw bubbles on PDF (Manual drawing for best quality)
-        const questionSpacing = 10;
-        const optionSpacing = 20;
-        const circleRadius = 3;
-
-        for (let i = 1; i <= totalQuestions; i++) {
-            // New page if we run out of space
-            if (yPos > pageHeight - margin) {
-                pdf.addPage();
-                yPos = margin;
+// Put the scanned answers on the sheet and highlight anything that needs checking
+function applyScanResults({ answers: results, rollNumber }) {
+    results.forEach(({ i, response, flag }) => {
+        clearScanFlag(i);
+        if (getQuestionType(i) !== 'numeric') setResponse(i, response);
+        if (flag) flagScannedQuestion(i, flag);
+    });
+    updatePalette();
+    const answered = results.filter(result => result.response).length;
+    const flagged = results.filter(result => result.flag).length;
+    let rollText = '';
+    if (rollNumber.flag) rollText = ` Roll number read as ${rollNumber.value || '(blank)'} - check it (${rollNumber.flag}).`;
+    else if (rollNumber.value) rollText = ` Roll number ${rollNumber.value}.`;
+    if (rollNumber.value) rollNumberInput.value = rollNumber.value;
+    showStatusMessage(flagged > 0
+        ? `Scanned ${answered} answers. ${flagged} question(s) need a check - they're highlighted on the sheet.${rollText}`
+        : `Scanned ${answered} answers. Look over the sheet, then press Finish & Check.${rollText}`, 'success');
+    autosave();
+    const firstFlag = getScanFlags()[0];
+    if (firstFlag) jumpToQuestion(firstFlag);
+    else omrSheet.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+function flagScannedQuestion(i, message) {
+    scanFlags[i] = message;
+    renderScanFlag(i);
+}
+
+function clearScanFlag(i) {
+    if (!scanFlags[i]) return;
+    delete scanFlags[i];
+    renderScanFlag(i);
+}
+
+// The dashed highlight and "Looks right" button on a row whose scan needs checking
+function renderScanFlag(i, row = getQuestionRow(i)) {
+    if (!row) return;
+    row.classList.toggle('scan-flag', !!scanFlags[i]);
+    row.querySelectorAll('.scan-note').forEach(note => note.remove());
+    if (!scanFlags[i]) return;
+    const note = document.createElement('span');
+    note.className = 'scan-note ml-3 text-xs font-bold text-amber-900 bg-amber-100/60 px-2 py-0.5 rounded-full';
+    note.innerHTML = `${escapeHTML(scanFlags[i])} <button class="underline ml-1 hover:text-amber-700">Looks right</button>`;
+    note.querySelector('button').addEventListener('click', () => clearScanFlag(i));
+    row.querySelector('span').after(note);
+}
+
+// Question numbers still waiting for a person to check the scan
+function getScanFlags() {
+    return Object.keys(scanFlags).map(Number).sort((a, b) => a - b);
+}
+
+// --- Class Batch Grading ---
+// A teacher loads the key as usual, then a spreadsheet (one row per student) or a pile of scanned
+// sheets. Everyone is graded with calculateResults, exactly like a single sheet.
+
+function showBatch() {
+    batchSection.classList.remove('hidden');
+    renderBatch();
+    batchSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+// Class grading needs the sheet setup (question count, types, sections) and the key
+function checkBatchReady() {
+    if (totalQuestions === 0 || omrContainer.classList.contains('hidden')) {
+        showError(batchError, 'Set up the test first (Generate Sheet or Start from an Answer Key), so we know the questions and marking.');
+        return false;
+    }
+    if (!hasAnswerKey()) {
+        showError(batchError, 'Load the answer key first - upload it or type it under "Check Your Answers".');
+        return false;
+    }
+    // With a key per set, each student is checked against their own set's key when graded
+    const resolved = Object.keys(setKeys).length > 0 ? {} : resolveAnswerKey();
+    if (resolved.error) {
+        showError(batchError, resolved.error);
+        return false;
+    }
+    hideError(batchError);
+    return true;
+}
+
+function handleBatchSheetUpload(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file || !checkBatchReady()) return;
+
+    const reader = new FileReader();
+    const extension = file.name.split('.').pop().toLowerCase();
+    reader.onload = (e) => {
+        try {
+            const workbook = extension === 'csv'
+                ? XLSX.read(e.target.result, { type: 'string' })
+                : XLSX.read(new Uint8Array(e.target.result), { type: 'array' });
+            const rows = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { header: 1, defval: '' });
+            const students = parseBatchRows(rows);
+            if (students.length === 0) {
+                showError(batchError, `No students found in ${file.name}. Put one student per row: name, then their answers.`);
+                return;
             }
+            batchStudents = batchStudents.concat(students);
+            renderBatch(`Added ${students.length} students from ${file.name}.`);
+        } catch (err) {
+            showError(batchError, `Failed to read ${file.name}.`);
+        }
+    };
+    if (extension === 'csv') reader.readAsText(file);
+    else reader.readAsArrayBuffer(file);
+}
 
-            const selectedOption = document.querySelector(`input[name="question-${i}"]:checked`);
-            const userAnswer = selectedOption ? selectedOption.value : null;
-            const correctAnswer = answerKey[i];
-            
-            // Question Number
-            pdf.setFont("helvetica", "bold");
-            pdf.setFontSize(10);
-            pdf.text(`${i}.`, margin, yPos + circleRadius);
-
-            let xPos = margin + 15;
-            const options = ['A', 'B', 'C', 'D'];
-
-            options.forEach(option => {
-                pdf.setFont("helvetica", "normal");
-                pdf.text(option, xPos, yPos + circleRadius);
-                
-                const circleX = xPos + 5;
-                const circleY = yPos + circleRadius - 1;
-
-                // Default: Black outline, white fill
-                pdf.setDrawColor(0); 
-                pdf.setFillColor(255, 255, 255); 
-
-                let drawStyle = 'D'; // Default to Draw Outline
-
-                // If user picked this
-                if (userAnswer === option) {
-                    pdf.setFillColor(37, 99, 235); // Blue fill
-                    pdf.setDrawColor(29, 78, 216); // Blue border
-                    if (isGraded) {
-                        if (userAnswer === correctAnswer) {
-                            pdf.setFillColor(22, 163, 74); // Green (Correct)
-                            pdf.setDrawColor(21, 128, 61); 
-                        } else {
-                            pdf.setFillColor(220, 38, 38); // Red (Wrong)
-                            pdf.setDrawColor(185, 28, 28);
-                        }
-                    }
-                    drawStyle = 'FD'; // Fill and Draw
-                }
-                
-                pdf.circle(circleX, circleY, circleRadius, drawStyle);
-
-                // If they got it wrong, circle the correct answer in Green
-                if (isGraded && userAnswer !== correctAnswer && option === correctAnswer) {
-                    pdf.setDrawColor(22, 163, 74);
-                    pdf.setLineWidth(0.5);
-                    pdf.circle(circleX, circleY, circleRadius + 0.5, 'D');
-                    pdf.setLineWidth(0.2); 
+// One row per student. With a header row we look for "Name", "Roll No"/"ID" and question columns
+// ("1", "Q1", "Q.1"...). Without one: name in column A, then the answers in order.
+function parseBatchRows(rows) {
+    const cellText = cell => String(cell === undefined || cell === null ? '' : cell).trim();
+    const questionColumn = cell => {
+        const match = cellText(cell).match(/^(?:Q(?:uestion)?\.?\s*)?(\d+)$/i);
+        return match ? parseInt(match[1], 10) : null;
+    };
+    const isHeader = row => row.some(cell => /^(name|student|candidate|roll|id|set|booklet)\b/i.test(cellText(cell)) || /^Q\.?\s*\d+$/i.test(cellText(cell)));
+
+    const filled = rows.filter(row => row.some(cell => cellText(cell) !== ''));
+    if (filled.length === 0) return [];
+    let nameCol = 0;
+    let rollCol = -1;
+    let setCol = -1;
+    let questionCols = Array.from({ length: totalQuestions }, (_, k) => ({ col: k + 1, q: k + 1 }));
+    let dataRows = filled;
+
+    if (isHeader(filled[0])) {
+        const header = filled[0].map(cellText);
+        nameCol = header.findIndex(cell => /name|student|candidate/i.test(cell));
+        rollCol = header.findIndex(cell => /roll|^id$|reg/i.test(cell));
+        setCol = header.findIndex(cell => /^(set|booklet|series)\b/i.test(cell));
+        questionCols = header
+            .map((cell, col) => ({ col, q: col === rollCol ? null : questionColumn(cell) }))
+            .filter(({ q }) => q !== null && q >= 1 && q <= totalQuestions);
+        dataRows = filled.slice(1);
+    }
+
+    return dataRows.map((row, index) => {
+        const responses = {};
+        const unchecked = {};
+        questionCols.forEach(({ col, q }) => {
+            const raw = cellText(row[col]);
+            responses[q] = normalizeResponse(raw, q);
+            // Something was written, but it isn't an answer we know
+            if (raw && raw !== '-' && !responses[q]) unchecked[q] = `"${raw}" isn't an answer`;
+        });
+        return {
+            name: (nameCol >= 0 && cellText(row[nameCol])) || `Student ${index + 1}`,
+            rollNumber: rollCol >= 0 ? cellText(row[rollCol]) : '',
+            set: setCol >= 0 ? normalizeSetCode(cellText(row[setCol])) : '',
+            responses,
+            needsCheck: Object.keys(unchecked).length,
+            unchecked,
+            rollFlag: null,
+        };
+    });
+}
+
+// A response from a spreadsheet cell, in the same form getResponse gives: 'A', 'AC', '12.5' or null
+function normalizeResponse(raw, i) {
+    return OMRGrading.normalizeResponse(raw, getQuestionType(i), optionCount);
+}
+
+// Scanned sheets: each group of pages (as many as the printed sheet has) is one student
+function handleBatchScanUpload(event) {
+    const files = Array.from(event.target.files);
+    event.target.value = '';
+    if (files.length === 0 || !checkBatchReady()) return;
+    renderBatch('Reading the scanned sheets...');
+
+    Promise.all(files.map(file => loadScanPages(file).then(pages => pages.map(canvas => ({ canvas, file: file.name })))))
+        .then(lists => {
+            const pages = lists.flat();
+            const perSheet = getScanLayout().length;
+            if (pages.length % perSheet !== 0) {
+                throw new Error(`The printed sheet has ${perSheet} pages, but ${pages.length} pages were uploaded. Upload every page of every sheet, in order.`);
+            }
+            const students = [];
+            const failed = [];
+            for (let start = 0; start < pages.length; start += perSheet) {
+                const sheetPages = pages.slice(start, start + perSheet);
+                const source = sheetPages[0].file.replace(/\.[^.]+$/, '');
+                const sameFile = pages.filter(page => page.file === sheetPages[0].file).length > perSheet;
+                const name = sameFile ? `${source} #${start / perSheet + 1}` : source;
+                try {
+                    const { answers, rollNumber } = scanPages(sheetPages.map(page => page.canvas));
+                    const responses = {};
+                    answers.forEach(answer => { responses[answer.i] = answer.response; });
+                    // Double, faint or unreadable marks were graded as read - the export marks them for checking
+                    const unchecked = {};
+                    answers.filter(answer => answer.flag && getQuestionType(answer.i) !== 'numeric').forEach(answer => { unchecked[answer.i] = answer.flag; });
+                    const needsCheck = Object.keys(unchecked).length + (rollNumber.flag ? 1 : 0);
+                    students.push({ name, rollNumber: rollNumber.value, set: '', responses, needsCheck, unchecked, rollFlag: rollNumber.flag });
+                } catch (err) {
+                    failed.push(`${name}: ${err.message}`);
                 }
+            }
+            batchStudents = batchStudents.concat(students);
+            renderBatch(`Added ${students.length} scanned sheets.`);
+            if (failed.length > 0) showError(batchError, `Couldn't read ${failed.length} sheet(s) - ${failed.join(' ')}`);
+        })
+        .catch(err => {
+            renderBatch();
+            showError(batchError, err.message || 'Could not read the scanned sheets.');
+        });
+}
 
-                xPos += optionSpacing;
-            });
-            yPos += questionSpacing;
-        }
+// Grade everyone and rank them. Same score = same rank; percentile = share of the class at or below your score.
+// Each student is marked with their set's key (no set in the file = the one chosen in the setup);
+// anyone whose set has no key is left out, and renderBatch says so.
+function gradeBatch() {
+    const graded = batchStudents.filter(student => !findAnswerKey(student.set || setCodeInput.value).error).map(student => {
+        const results = calculateResults(i => student.responses[i] || null, findAnswerKey(student.set || setCodeInput.value).key);
+        const { totals } = results;
+        return {
+            ...student,
+            ...results,
+            score: totals.score,
+            maxScore: totals.maxScore,
+            percent: totals.maxScore > 0 ? Math.round((totals.score / totals.maxScore) * 1000) / 10 : 0,
+        };
+    }).sort((a, b) => b.score - a.score);
 
-        pdf.save('omr_report.pdf');
-        hideStatusMessage();
-    }, 100);
+    graded.forEach((result, index) => {
+        result.rank = index > 0 && result.score === graded[index - 1].score ? graded[index - 1].rank : index + 1;
+        const atOrBelow = graded.filter(other => other.score <= result.score).length;
+        result.percentile = Math.round((atOrBelow / graded.length) * 10000) / 100;
+    });
+    return graded;
 }
 
-// --- Timer Logic ---
-function startTimer() {
-    clearInterval(timerInterval);
-    startTime = Date.now();
-    timerInterval = setInterval(() => {
-        const elapsedTime = Date.now() - startTime;
-        timerDisplay.textContent = formatTime(elapsedTime);
-    }, 1000);
+function renderBatch(message) {
+    batchResults = batchStudents.length > 0 && hasAnswerKey() ? gradeBatch() : [];
+    const ungraded = hasAnswerKey() ? batchStudents.filter(student => findAnswerKey(student.set || setCodeInput.value).error) : [];
+    if (ungraded.length > 0) {
+        showError(batchError, `${ungraded.length} student(s) not graded - ${findAnswerKey(ungraded[0].set || setCodeInput.value).error}`);
+    }
+    batchStatusEl.textContent = message || '';
+    batchStatusEl.classList.toggle('hidden', !message);
+    batchEmptyEl.classList.toggle('hidden', batchResults.length > 0);
+    batchContentEl.classList.toggle('hidden', batchResults.length === 0);
+    if (batchResults.length === 0) return;
+
+    const scores = batchResults.map(result => result.score);
+    const middle = Math.floor(scores.length / 2);
+    const median = scores.length % 2 ? scores[middle] : (scores[middle - 1] + scores[middle]) / 2;
+    batchSummaryEl.innerHTML = [
+        ['Students', batchResults.length],
+        ['Average', roundMarks(scores.reduce((sum, score) => sum + score, 0) / scores.length)],
+        ['Median', roundMarks(median)],
+        ['Highest / Lowest', `${scores[0]} / ${scores[scores.length - 1]}`],
+    ].map(([label, value]) => `
+        <div class="bg-white/30 p-4 rounded-2xl border border-white/40 text-center">
+            <p class="text-xs font-bold text-glass-light uppercase tracking-wide">${label}</p>
+            <p class="text-2xl font-extrabold text-glass-dark mt-1">${value}</p>
+        </div>`).join('');
+
+    batchTableBody.innerHTML = batchResults.map(result => `
+        <tr class="border-b border-white/20">
+            <td class="p-3 font-extrabold">${result.rank}</td>
+            <td class="p-3 font-bold">${escapeHTML(result.name)}</td>
+            <td class="p-3">${escapeHTML(result.rollNumber || '-')}</td>
+            <td class="p-3">${result.set || '-'}</td>
+            <td class="p-3 whitespace-nowrap">${result.score} / ${result.maxScore}</td>
+            <td class="p-3">${result.percent}%</td>
+            <td class="p-3">${result.percentile}</td>
+            <td class="p-3 whitespace-nowrap">${result.totals.correct} / ${result.totals.incorrect} / ${result.totals.unanswered}</td>
+            <td class="p-3 ${result.needsCheck ? 'text-amber-800 font-bold' : 'text-glass-light'}" title="${escapeHTML(getUncheckedText(result))}">${result.needsCheck || '-'}</td>
+        </tr>`).join('');
 }
 
-function stopTimer() {
-    clearInterval(timerInterval);
-    const elapsedTime = Date.now() - startTime;
-    timeTakenInfoEl.textContent = `Time Taken: ${formatTime(elapsedTime)}`;
+// Excel workbook: the ranked results, plus every student's answers question by question
+function exportBatchResults() {
+    if (batchResults.length === 0) {
+        showError(batchError, 'Nothing to export yet - add some students first.');
+        return;
+    }
+    const summary = batchResults.map(result => {
+        const row = {
+            'Rank': result.rank,
+            'Name': result.name,
+            'Roll No': result.rollNumber,
+            'Set': result.set,
+            'Score': result.score,
+            'Max Score': result.maxScore,
+            'Percent': result.percent,
+            'Percentile': result.percentile,
+            'Correct': result.totals.correct,
+            'Partial': result.totals.partial,
+            'Wrong': result.totals.incorrect,
+            'Skipped': result.totals.unanswered,
+            'Needs Check': result.needsCheck,
+            'Check Questions': getUncheckedText(result),
+        };
+        result.sections.forEach(section => { row[`${section.name} Score`] = section.score; });
+        return row;
+    });
+    const responses = batchResults.map(result => {
+        const row = { 'Rank': result.rank, 'Name': result.name, 'Roll No': markUnchecked(result.rollNumber, result.rollFlag), 'Set': result.set };
+        for (let i = 1; i <= totalQuestions; i++) row[`Q${i}`] = markUnchecked(result.questions[i].response || '', result.unchecked[i]);
+        return row;
+    });
+    // One key row for each set the class used
+    const usedSets = [...new Set(batchResults.map(result => result.set || setCodeInput.value))].sort();
+    const keyRows = usedSets.map(set => {
+        const { key } = findAnswerKey(set);
+        const keyRow = { 'Rank': '', 'Name': set && Object.keys(setKeys).length > 0 ? `Answer Key (Set ${set})` : 'Answer Key', 'Roll No': '', 'Set': set };
+        for (let i = 1; i <= totalQuestions; i++) keyRow[`Q${i}`] = formatKeyAnswer(key[i]);
+        return keyRow;
+    });
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(summary), 'Results');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet([...keyRows, ...responses]), 'Responses');
+    if (getTestInfoRows().length > 0) XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(getTestInfoRows()), 'Test');
+    XLSX.writeFile(workbook, `${getFileBaseName()}_class_results.xlsx`);
 }
 
-// Pretty print time (mm:ss)
-function formatTime(ms) {
-    const totalSeconds = Math.floor(ms / 1000);
-    const minutes = Math.floor(totalSeconds / 60).toString().padStart(2, '0');
-    const seconds = (totalSeconds % 60).toString().padStart(2, '0');
-    return `${minutes}:${seconds}`;
+// e.g. "Q3, 7-8" - the answers to look at on the student's sheet before trusting their rank
+function getUncheckedText(result) {
+    const questions = Object.keys(result.unchecked).map(Number).sort((a, b) => a - b);
+    return questions.length > 0 ? `Q${formatQuestionList(questions.map(getQuestionNumber))}` : '';
 }
 
-// --- Reset Logic ---
-function resetEverything() {
-    questionCountInput.value = '';
-    correctMarksInput.value = '';
-    wrongMarksInput.value = '';
-    omrContainer.classList.add('hidden');
-    omrSheet.innerHTML = '';
-    totalQuestions = 0;
-    correctMarks = null;
-    wrongMarks = null;
-    resetOMRState();
-    clearInterval(timerInterval);
-    timerDisplay.textContent = '00:00';
-    window.scrollTo({ top: 0, behavior: 'smooth' });
+// A cell the scan or spreadsheet wasn't sure of: what was read, plus why it needs a look (e.g. "A [CHECK: Faint mark on B - check it]")
+function markUnchecked(value, why) {
+    return why ? `${value ? `${value} ` : ''}[CHECK: ${why}]` : value;
 }
 
-function resetOMRState() {
-    answerKey = {};
-    fileUpload.value = '';
-    manualKeyInput.value = '';
-    resultsDisplay.classList.add('hidden');
-    marksBreakdownEl.classList.add('hidden');
-    savePdfBtn.classList.add('hidden');
-    hideError(checkError);
-    hideStatusMessage();
-    isGraded = false;
-    
-    checkBtn.textContent = 'Finish & Check';
-    checkBtn.className = 'w-full btn-liquid-green text-white font-bold py-4 px-6 rounded-2xl transition-all transform active:scale-95 shadow-neon-green';
-    checkBtn.onclick = handleCheckAnswers;
-    
-    // Re-enable everything
-    document.querySelectorAll('.question-row').forEach(row => {
-        row.classList.remove('correct', 'incorrect');
-        row.querySelectorAll('input[type="radio"]').forEach(radio => {
-            radio.disabled = false;
-            radio.checked = false;
+// --- Item Analysis ---
+// Which questions were too hard, too easy or badly written - from the class results, or from
+// this test's attempts in the history (re-marked with the current key, so revised keys count).
+
+const DISCRIMINATION_GROUP = 0.27; // Top and bottom 27% of scorers, the usual split
+
+function showItemAnalysis(source) {
+    analysisSection.classList.remove('hidden');
+    const data = getAnalysisAttempts(source);
+    analysisContentEl.classList.toggle('hidden', !!data.error);
+    if (data.error) {
+        itemAnalysis = null;
+        showError(analysisError, data.error);
+        return;
+    }
+    hideError(analysisError);
+    itemAnalysis = { label: data.label, count: data.attempts.length, rows: analyzeItems(data.attempts, data.key) };
+    renderItemAnalysis();
+    analysisSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+// Graded attempts to analyse: [{ score, questions: {i: { response, status }} }] plus a label and the key
+// they were marked with, or { error }
+function getAnalysisAttempts(source) {
+    if (totalQuestions === 0 || !hasAnswerKey()) {
+        return { error: 'Set up the test and load its answer key first - the analysis marks every attempt against it.' };
+    }
+
+    let attempts;
+    let label;
+    let key;
+    if (source === 'class') {
+        // gradeBatch finds each student's own set key. Sets shuffle the questions, though (Q5 is a different
+        // question in each), so only one set is analysed: the one chosen in the setup, or else the biggest
+        const graded = gradeBatch();
+        const keySet = result => (manualKeyInput.value.trim() || !setKeys[result.set || setCodeInput.value] ? '' : result.set || setCodeInput.value);
+        const counts = {};
+        graded.forEach(result => { counts[keySet(result)] = (counts[keySet(result)] || 0) + 1; });
+        const sets = Object.keys(counts);
+        const setupSet = keySet({ set: '' });
+        const set = counts[setupSet] ? setupSet : sets.sort((a, b) => counts[b] - counts[a])[0];
+        attempts = graded.filter(result => keySet(result) === set).map(result => ({ score: result.score, questions: result.questions }));
+        key = set !== undefined ? findAnswerKey(set).key : {};
+        label = `Class of ${attempts.length}${sets.length > 1 ? ` - ${set ? `Set ${set}` : 'the key for every set'} only` : ''}`;
+    } else {
+        const resolved = resolveAnswerKey();
+        if (resolved.error) return resolved;
+        key = resolved.key;
+        const testName = testNameInput.value.trim();
+        attempts = loadHistory()
+            .filter(entry => (entry.testName || '') === testName && entry.config.totalQuestions === totalQuestions)
+            .map(entry => {
+                const { questions, totals } = calculateResults(i => (entry.responses && entry.responses[i]) || null);
+                return { score: totals.score, questions };
+            });
+        label = `${attempts.length} attempt(s) of ${testName || 'Untitled Test'}`;
+    }
+    if (attempts.length < 2) {
+        return { error: 'Item analysis needs at least 2 graded attempts of this test (class results, or history attempts with the same test name and question count).' };
+    }
+    return { attempts, label, key };
+}
+
+// Per question: % correct, how often each option was picked, % skipped and the discrimination index
+// (share correct in the top group minus share correct in the bottom group, from -1 to 1)
+function analyzeItems(attempts, key) {
+    const ranked = attempts.slice().sort((a, b) => b.score - a.score);
+    const groupSize = Math.max(1, Math.round(ranked.length * DISCRIMINATION_GROUP));
+    const top = ranked.slice(0, groupSize);
+    const bottom = ranked.slice(-groupSize);
+    const share = (list, test) => list.filter(test).length / list.length;
+    const percent = value => Math.round(value * 1000) / 10;
+
+    const rows = [];
+    for (let i = 1; i <= totalQuestions; i++) {
+        const isCorrect = attempt => ['correct', 'bonus'].includes(attempt.questions[i].status);
+        const type = getQuestionType(i);
+        const options = {};
+        if (type !== 'numeric') {
+            getOptions().forEach(option => {
+                options[option] = percent(share(attempts, attempt => (attempt.questions[i].response || '').includes(option)));
+            });
+        }
+        const correct = share(attempts, isCorrect);
+        const discrimination = Math.round((share(top, isCorrect) - share(bottom, isCorrect)) * 100) / 100;
+        rows.push({
+            i,
+            key: key[i],
+            correct: percent(correct),
+            partial: percent(share(attempts, attempt => attempt.questions[i].status === 'partial')),
+            skipped: percent(share(attempts, attempt => attempt.questions[i].status === 'unanswered')),
+            options,
+            discrimination,
+            note: getItemNote(correct, discrimination, key[i]),
+        });
+    }
+    return rows;
+}
+
+// Rules of thumb teachers use for reviewing questions. Negative discrimination means
+// weaker students did better than stronger ones - often a wrong key.
+function getItemNote(correct, discrimination, key) {
+    if (isSpecialAnswer(key)) return '';
+    if (discrimination < 0) return 'Negative - check the key';
+    if (correct < 0.3) return 'Very hard';
+    if (correct > 0.9) return 'Very easy';
+    if (discrimination < 0.2) return 'Poor discrimination';
+    return '';
+}
+
+function renderItemAnalysis() {
+    const { label, count, rows } = itemAnalysis;
+    const options = getOptions();
+    const average = key => Math.round(rows.reduce((sum, row) => sum + row[key], 0) / rows.length * 10) / 10;
+    analysisSummaryEl.innerHTML = [
+        ['Based On', label],
+        ['Avg. % Correct', `${average('correct')}%`],
+        ['Avg. Discrimination', average('discrimination')],
+        ['Flagged Questions', rows.filter(row => row.note).length],
+    ].map(([title, value]) => `
+        <div class="bg-white/30 p-4 rounded-2xl border border-white/40 text-center">
+            <p class="text-xs font-bold text-glass-light uppercase tracking-wide">${title}</p>
+            <p class="text-xl font-extrabold text-glass-dark mt-1">${escapeHTML(String(value))}</p>
+        </div>`).join('');
+
+    analysisTableHead.innerHTML = `
+        <tr>
+            <th class="p-2">Q</th><th class="p-2">Key</th><th class="p-2">Correct</th>
+            ${options.map(option => `<th class="p-2">${option}</th>`).join('')}
+            <th class="p-2">Skipped</th><th class="p-2" title="Top ${DISCRIMINATION_GROUP * 100}% minus bottom ${DISCRIMINATION_GROUP * 100}% (out of ${count})">Discrim.</th><th class="p-2">Note</th>
+        </tr>`;
+    analysisTableBody.innerHTML = rows.map(row => {
+        const keyLetters = getKeyLetters(row.key);
+        const optionCells = options.map(option => {
+            if (row.options[option] === undefined) return '<td class="p-2 text-glass-light">-</td>';
+            // The right option in green, popular wrong ones (distractors that work) in red
+            const style = keyLetters.includes(option) ? 'text-green-800 font-bold' : (row.options[option] >= 30 ? 'text-red-700 font-bold' : '');
+            return `<td class="p-2 ${style}">${row.options[option]}%</td>`;
+        }).join('');
+        return `
+        <tr class="border-b border-white/20">
+            <td class="p-2 font-bold">${getQuestionNumber(row.i)}</td>
+            <td class="p-2 font-mono">${escapeHTML(formatKeyAnswer(row.key))}</td>
+            <td class="p-2">${row.correct}%${row.partial ? ` <span class="text-xs text-amber-800">(+${row.partial}% partial)</span>` : ''}</td>
+            ${optionCells}
+            <td class="p-2">${row.skipped}%</td>
+            <td class="p-2 ${row.discrimination < 0.2 ? 'text-red-700 font-bold' : ''}">${row.discrimination}</td>
+            <td class="p-2 text-xs font-bold text-amber-900">${row.note}</td>
+        </tr>`;
+    }).join('');
+}
+
+function exportItemAnalysisXLSX() {
+    if (!itemAnalysis) return;
+    const rows = itemAnalysis.rows.map(row => {
+        const out = { 'Question': getQuestionNumber(row.i), 'Key': formatKeyAnswer(row.key), '% Correct': row.correct, '% Partial': row.partial };
+        getOptions().forEach(option => { out[`% Chose ${option}`] = row.options[option] !== undefined ? row.options[option] : ''; });
+        out['% Skipped'] = row.skipped;
+        out['Discrimination'] = row.discrimination;
+        out['Note'] = row.note;
+        return out;
+    });
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), 'Item Analysis');
+    if (getTestInfoRows().length > 0) XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(getTestInfoRows()), 'Test');
+    XLSX.writeFile(workbook, `${getFileBaseName()}_item_analysis.xlsx`);
+}
+
+function exportItemAnalysisPDF() {
+    if (!itemAnalysis) return;
+    const { jsPDF } = window.jspdf;
+    const pdf = new jsPDF({ orientation: 'p', unit: 'mm', format: 'a4' });
+    const margin = 15;
+    const pageHeight = pdf.internal.pageSize.getHeight();
+    const options = getOptions();
+    let yPos = 20;
+
+    pdf.setFont("helvetica", "bold");
+    pdf.setFontSize(16);
+    pdf.text(`Item Analysis - ${testNameInput.value.trim() || 'Untitled Test'}`, margin, yPos);
+    yPos += 8;
+    pdf.setFont("helvetica", "normal");
+    pdf.setFontSize(10);
+    pdf.text(`Based on ${itemAnalysis.label}. Discrimination = top ${DISCRIMINATION_GROUP * 100}% minus bottom ${DISCRIMINATION_GROUP * 100}% of scorers.`, margin, yPos);
+    const testInfo = getTestInfoRows().filter(([label]) => label !== 'Test');
+    if (testInfo.length > 0) {
+        yPos += 5;
+        pdf.text(testInfo.map(([label, value]) => `${label}: ${value}`).join('  |  '), margin, yPos);
+    }
+    yPos += 10;
+
+    // Column x positions: Q, Key, Correct, one per option, Skipped, Discrimination, Note
+    const columns = [['Q', 0], ['Key', 10], ['Correct', 32]];
+    options.forEach((option, k) => columns.push([option, 50 + k * 12]));
+    const afterOptions = 50 + options.length * 12;
+    columns.push(['Skipped', afterOptions], ['Discr.', afterOptions + 16], ['Note', afterOptions + 30]);
+
+    const drawHeader = () => {
+        pdf.setFont("helvetica", "bold");
+        pdf.setFontSize(9);
+        columns.forEach(([title, x]) => pdf.text(title, margin + x, yPos));
+        pdf.setLineWidth(0.2);
+        pdf.line(margin, yPos + 2, pdf.internal.pageSize.getWidth() - margin, yPos + 2);
+        yPos += 7;
+        pdf.setFont("helvetica", "normal");
+    };
+    drawHeader();
+
+    itemAnalysis.rows.forEach(row => {
+        if (yPos > pageHeight - margin) {
+            pdf.addPage();
+            yPos = 20;
+            drawHeader();
+        }
+        const keyLetters = getKeyLetters(row.key);
+        const cells = [String(getQuestionNumber(row.i)), formatKeyAnswer(row.key), `${row.correct}%`];
+        options.forEach(option => cells.push(row.options[option] !== undefined ? `${row.options[option]}%` : '-'));
+        cells.push(`${row.skipped}%`, String(row.discrimination), row.note);
+        cells.forEach((text, k) => {
+            const option = options[k - 3];
+            if (option && keyLetters.includes(option)) pdf.setTextColor(22, 163, 74); // Right option in green
+            if (k === cells.length - 1) pdf.setTextColor(180, 83, 9);
+            pdf.text(pdf.splitTextToSize(text, k === cells.length - 1 ? 50 : 20)[0], margin + columns[k][1], yPos);
+            pdf.setTextColor(0);
         });
-        // Remove hint rings
-        const hintLabel = row.querySelector('.ring-4');
-        if(hintLabel) hintLabel.classList.remove('ring-4', 'ring-green-500/50', 'rounded-full', 'px-2', 'bg-green-100/50');
-        
-        // Show clear buttons again
-        const clearBtn = row.querySelector('button');
-        if (clearBtn) clearBtn.style.display = '';
+        yPos += 6;
     });
+    pdf.save(`${getFileBaseName()}_item_analysis.pdf`);
+}
+
+// Test name made safe for a file name, e.g. "Mock Test 4" -> "Mock_Test_4"
+// Downloads are named after the paper - plus who took it, for their own report:
+// e.g. PHY-M3_Physics_Mock_3_Asha_Verma_240117_SetB_2026-10-19
+function getFileBaseName(withCandidate = false) {
+    const details = getTestDetails();
+    const parts = [details.testCode, details.testName];
+    if (withCandidate) parts.push(details.candidateName, details.rollNumber, details.setCode && `Set${details.setCode}`);
+    parts.push(details.testDate);
+    const name = parts.filter(Boolean).join('_').replace(/[^\w-]+/g, '_').replace(/_+/g, '_').replace(/^_|_$/g, '');
+    return name || 'omr';
 }
 
 // --- File Processing Logic ---
 function handleFileUpload(event) {
     const file = event.target.files[0];
     if (!file) return;
-    
+    loadAnswerKeyFile(file);
+}
+
+// Read a key file (picked or dropped) and pull the answers out.
+// onLoaded(entries, source, meta) gets the answers plus any marking info found in the file;
+// by default that's the preview. onError(message) defaults to showing it under the key panel.
+function loadAnswerKeyFile(file, onLoaded = previewAnswerKey, onError = message => showError(checkError, message)) {
     // Update UI to show filename
-    event.target.parentElement.querySelector('label').textContent = `Selected: ${file.name}`;
+    document.querySelector('label[for="file-upload"]').textContent = `Selected: ${file.name}`;
 
     const reader = new FileReader();
     const extension = file.name.split('.').pop().toLowerCase();
@@ -498,9 +3810,9 @@ function handleFileUpload(event) {
                 const workbook = XLSX.read(data, { type: 'array' });
                 const worksheet = workbook.Sheets[workbook.SheetNames[0]];
                 const json = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-                parseAnswerKeyFromExcel(json);
+                onLoaded(parseAnswerKeyFromExcel(json), file.name, parseKeyMetadataFromRows(json));
             } catch (err) {
-                showError(checkError, 'Failed to process Excel file.');
+                onError('Failed to process Excel file.');
             }
         };
         reader.readAsArrayBuffer(file);
@@ -514,62 +3826,452 @@ function handleFileUpload(event) {
                 }
                 return Promise.all(pagesPromises);
             }).then(textContents => {
-                let fullText = '';
-                textContents.forEach(content => {
-                    content.items.forEach(item => { fullText += item.str + ' '; });
-                    fullText += '\n';
-                });
-                parseAnswerKeyFromText(fullText);
-            }).catch(() => showError(checkError, 'Failed to process PDF file.'));
+                // Keep where each piece of text sits, so tables and columns can be put back together
+                const pages = textContents.map(content => content.items.map(item => ({
+                    str: item.str,
+                    x: item.transform[4],
+                    y: item.transform[5],
+                    width: item.width,
+                    height: item.height || Math.abs(item.transform[3]),
+                })));
+                onLoaded(parseAnswerKeyFromPDF(pages), file.name, parseKeyMetadataFromPDF(pages));
+            }).catch(() => onError('Failed to process PDF file.'));
         };
         reader.readAsArrayBuffer(file);
+    } else if (extension === 'csv') {
+        reader.onload = (e) => {
+            try {
+                // SheetJS reads CSV too, so it goes down the same path as Excel
+                const workbook = XLSX.read(e.target.result, { type: 'string' });
+                const rows = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { header: 1 });
+                const entries = parseAnswerKeyFromExcel(rows);
+                const meta = parseKeyMetadataFromRows(rows);
+                // No question numbers? Maybe it's just "A,B,C,D..." on one line
+                onLoaded(entries.length > 0 ? entries : parseAnswerKeyFromPlainText(stripKeyMetadata(e.target.result)), file.name, meta);
+            } catch (err) {
+                onError('Failed to process CSV file.');
+            }
+        };
+        reader.readAsText(file);
+    } else if (extension === 'json') {
+        reader.onload = (e) => {
+            let data;
+            try {
+                data = JSON.parse(e.target.result);
+            } catch (err) {
+                onError('Failed to process JSON file. Is it valid JSON?');
+                return;
+            }
+            onLoaded(parseAnswerKeyFromJSON(data), file.name, parseKeyMetadataFromJSON(data));
+        };
+        reader.readAsText(file);
+    } else if (extension === 'txt') {
+        reader.onload = (e) => {
+            const text = e.target.result;
+            onLoaded(parseAnswerKeyFromPlainText(stripKeyMetadata(text)), file.name, parseKeyMetadataFromLines(text.split(/\r?\n/)));
+        };
+        reader.readAsText(file);
     } else {
-        showError(checkError, 'Unsupported file type. Please use .xlsx, .xls, or .pdf');
+        onError('Unsupported file type. Please use .xlsx, .xls, .csv, .json, .txt or .pdf');
+    }
+}
+
+// "Paste Key" button - read whatever text is on the clipboard
+function pasteKeyFromClipboard() {
+    if (!navigator.clipboard || !navigator.clipboard.readText) {
+        showError(checkError, 'Your browser won\'t let us read the clipboard. Click the sheet and press Ctrl+V instead.');
+        return;
     }
+    navigator.clipboard.readText()
+        .then(text => previewAnswerKey(parseAnswerKeyFromPlainText(stripKeyMetadata(text)), 'pasted text', parseKeyMetadataFromLines(text.split(/\r?\n/))))
+        .catch(() => showError(checkError, 'Could not read the clipboard. Click the sheet and press Ctrl+V instead.'));
 }
 
-// Excel Parsing
+// All the parsers below return "entries": [{ q, raw, answer }] where raw is what the file said and
+// answer is the cleaned-up version (null if it isn't valid). The preview decides what to keep.
+// Excel/CSV/JSON entries can also have an explanation for the report.
+
+// Excel/CSV rows: Column A question number, Column B answer, optional Column C status/extra answer,
+// optional Column D explanation
+// The parsers themselves are in grading.js - these read as many options as the sheet has
 function parseAnswerKeyFromExcel(data) {
-    const newKey = {};
-    let parsedCount = 0;
-    data.forEach(row => {
-        const qNum = parseInt(row[0], 10);
-        const answer = String(row[1]).trim().toUpperCase();
-        if (!isNaN(qNum) && ['A', 'B', 'C', 'D'].includes(answer)) {
-            newKey[qNum] = answer;
-            parsedCount++;
-        }
+    return OMRGrading.parseAnswerKeyFromExcel(data, optionCount);
+}
+
+// PDF Parsing (text pieces with their positions on the page)
+function parseAnswerKeyFromPDF(pages) {
+    return OMRGrading.parseAnswerKeyFromPDF(pages, optionCount);
+}
+
+function parseAnswerKeyFromPlainText(text) {
+    return OMRGrading.parseAnswerKeyFromPlainText(text, optionCount);
+}
+
+function parseAnswerKeyFromJSON(data) {
+    return OMRGrading.parseAnswerKeyFromJSON(data, optionCount);
+}
+
+// --- Start from Answer Key ---
+// Build the sheet to fit an uploaded key: question count, types and options come from the answers,
+// marks/sections/time limit from the file if it has them (otherwise whatever is typed in the setup).
+// The key is loaded straight away but never shown until the test is submitted.
+// With authoring on, the sheet is built as a key editor with the key filled in instead (Open a Key to Edit).
+function handleKeyStartUpload(event, authoring = false) {
+    const file = event.target.files[0];
+    if (!file) return;
+    event.target.value = ''; // So picking the same file again still fires
+
+    // Read every letter (A-E) - we don't know how many options the sheet has until we see the key
+    const sheetOptions = optionCount;
+    optionCount = OPTION_LETTERS.length;
+    loadAnswerKeyFile(file, (entries, source, meta) => {
+        optionCount = sheetOptions;
+        startFromKey(entries, source, meta, authoring);
+    }, message => {
+        optionCount = sheetOptions;
+        showError(configError, message);
     });
-    if(parsedCount > 0) {
-        answerKey = newKey;
-        manualKeyInput.value = '';
-        hideError(checkError);
-        showStatusMessage(`${parsedCount} answers loaded successfully.`, 'success');
-    } else {
-        showError(checkError, 'Could not find valid answers in the Excel file.');
+}
+
+function startFromKey(entries, source, meta, authoring = false) {
+    const usable = entries.filter(entry => Number.isInteger(entry.q) && entry.q >= 1 && entry.answer);
+    if (usable.length === 0) {
+        showError(configError, `Could not find any answers in ${source}. Check the format info for what we can read.`);
+        return;
+    }
+    const count = Math.max(...usable.map(entry => entry.q));
+    if (count > MAX_QUESTIONS) {
+        showError(configError, `${source} has answers up to Q${count}, but a sheet can have at most ${MAX_QUESTIONS} questions.`);
+        return;
+    }
+    const key = {};
+    const explanations = {};
+    usable.forEach(entry => {
+        if (key[entry.q]) return;
+        key[entry.q] = entry.answer;
+        if (entry.explanation) explanations[entry.q] = entry.explanation;
+    });
+    const missing = [];
+    for (let i = 1; i <= count; i++) {
+        if (!key[i]) missing.push(i);
+    }
+    if (missing.length > 0) {
+        showError(configError, `${source} has no usable answer for Q${formatQuestionList(missing)}. Fix the key and try again.`);
+        return;
+    }
+
+    // Fill in the setup as if the user typed it, then build the sheet the normal way
+    const usesE = Object.values(key).some(answer => getKeyLetters(answer).includes('E'));
+    questionCountInput.value = count;
+    optionCountInput.value = String(meta.optionCount === 5 || usesE ? 5 : 4);
+    questionTypesInput.value = meta.questionTypes !== undefined ? meta.questionTypes : inferQuestionTypes(key, count);
+    if (meta.testName !== undefined) testNameInput.value = meta.testName;
+    if (meta.testCode !== undefined) testCodeInput.value = meta.testCode;
+    if (meta.setCode !== undefined) setCodeInput.value = meta.setCode;
+    if (meta.correctMarks !== undefined) correctMarksInput.value = meta.correctMarks;
+    if (meta.wrongMarks !== undefined) wrongMarksInput.value = meta.wrongMarks;
+    if (meta.duration !== undefined) durationInput.value = meta.duration || '';
+    if (meta.multiScheme !== undefined) multiSchemeInput.value = meta.multiScheme === 'all' ? 'all' : 'partial';
+    if (meta.sections) {
+        sectionsList.innerHTML = '';
+        meta.sections.forEach(section => addSectionRow(section));
+    }
+
+    generateOMRSheet(authoring);
+    if (totalQuestions !== count || omrContainer.classList.contains('hidden') || !configError.classList.contains('hidden')) return;
+
+    if (authoring) {
+        fillAuthoredKey(key, explanations);
+        authorStatusEl.textContent = `Opened ${source}. ${authorStatusEl.textContent}`;
+        return;
+    }
+    answerKey = key;
+    keyExplanations = explanations;
+    // Can't ask about doubtful answers without showing the key, so just say the first reading was used
+    const confidence = OMRGrading.getKeyConfidence(entries);
+    const unsure = confidence ? confidence.unsure.length : 0;
+    showStatusMessage(`Answer key loaded from ${source}. It stays hidden until you submit.${unsure > 0 ? ` ${unsure} answer${unsure === 1 ? ' was' : 's were'} unclear in the file - we used the first reading, so double-check the key if a result looks wrong.` : ''}`, 'success');
+    autosave();
+}
+
+// --- Key Authoring ---
+// "Create Answer Key" builds the sheet as an editor: bubble the right answers, pick bonus/dropped,
+// add notes, then save it as Excel, PDF or JSON (grading.js writes them in formats it reads back),
+// or go straight on to checking sheets with it.
+
+function renderAuthoringMode() {
+    sheetTitleEl.textContent = keyAuthoring ? 'Answer Key Editor' : 'OMR Sheet';
+    timerDisplay.classList.toggle('hidden', keyAuthoring);
+    shareTestBtn.classList.toggle('hidden', keyAuthoring);
+    actionsPanel.classList.toggle('hidden', keyAuthoring);
+    authorPanel.classList.toggle('hidden', !keyAuthoring);
+    hideError(authorError);
+    if (keyAuthoring) renderAuthorStatus();
+}
+
+// The key as it stands on the sheet: { key, explanations, missing }. The menu wins (bonus/dropped),
+// otherwise the bubbles - several on a single-answer question means any of them, e.g. 'A/C'
+function readAuthoredKey() {
+    const key = {};
+    const explanations = {};
+    const missing = [];
+    for (let i = 1; i <= totalQuestions; i++) {
+        const edit = keyEdits[i] || {};
+        const response = getResponse(i);
+        const picked = response && getQuestionType(i) === 'single' ? response.split('').join('/') : response;
+        const answer = edit.status || normalizeKeyAnswer(picked, optionCount);
+        if (answer) key[i] = answer;
+        else missing.push(i);
+        const note = (edit.note || '').trim();
+        if (note) explanations[i] = note;
     }
+    return { key, explanations, missing };
 }
 
-// PDF Parsing (Text extraction)
-function parseAnswerKeyFromText(text) {
-    // Look for patterns like "1. A" or "2: C"
-    const regex = /(\d+)\s*[:.-]?\s*([A-D])\b/g;
-    let match;
-    const newKey = {};
-    let parsedCount = 0;
-    while ((match = regex.exec(text)) !== null) {
-        newKey[parseInt(match[1], 10)] = match[2].toUpperCase();
-        parsedCount++;
+// Put a key on the editor (the opposite of readAuthoredKey)
+function fillAuthoredKey(key, explanations) {
+    for (let i = 1; i <= totalQuestions; i++) {
+        const special = key[i] && isSpecialAnswer(key[i]);
+        responses[i] = special ? null : key[i] || null;
+        keyEdits[i] = { status: special ? key[i] : '', note: explanations[i] || '' };
     }
-    
-    if(parsedCount > 0) {
-        answerKey = newKey;
-        manualKeyInput.value = '';
-        hideError(checkError);
-        showStatusMessage(`${parsedCount} answers loaded successfully.`, 'success');
-    } else {
-        showError(checkError, 'Could not find valid answers in the PDF.');
+    renderSheetPage();
+    updatePalette();
+}
+
+function renderAuthorStatus() {
+    const { key, explanations, missing } = readAuthoredKey();
+    const notes = Object.keys(explanations).length;
+    const done = `${Object.keys(key).length} of ${totalQuestions} questions keyed${notes > 0 ? `, ${notes} with notes` : ''}.`;
+    authorStatusEl.textContent = missing.length > 0 ? `${done} Still to do: Q${formatQuestionList(missing)}.` : `${done} Ready to save.`;
+}
+
+// The setup that's saved with the key, so starting from it builds this same sheet
+function getAuthoredKeyMetadata() {
+    const details = getTestDetails();
+    return {
+        testName: details.testName,
+        testCode: details.testCode,
+        setCode: details.setCode,
+        correctMarks,
+        wrongMarks,
+        duration: examDuration ? examDuration / 60000 : null,
+        optionCount,
+        questionTypes: formatQuestionTypes(totalQuestions, getQuestionType),
+        multiScheme: Object.values(questionTypes).includes('multi') ? multiScheme : null,
+        sections,
+    };
+}
+
+// What gets saved: { key, explanations, meta }, or null (with an error) if there's nothing to save yet.
+// Unfinished keys can still be saved, to open and finish later.
+function getAuthoredKey() {
+    const { key, explanations } = readAuthoredKey();
+    if (Object.keys(key).length === 0) {
+        showError(authorError, 'Bubble in at least one answer before saving the key.');
+        return null;
+    }
+    hideError(authorError);
+    return { key, explanations, meta: getAuthoredKeyMetadata() };
+}
+
+// e.g. PHY-M3_Physics_Mock_3_SetB_answer_key.xlsx
+function getAuthoredKeyFileName(extension) {
+    const setCode = getTestDetails().setCode;
+    return `${getFileBaseName()}${setCode ? `_Set${setCode}` : ''}_answer_key.${extension}`;
+}
+
+function saveAuthoredKeyXLSX() {
+    const authored = getAuthoredKey();
+    if (!authored) return;
+    const workbook = XLSX.utils.book_new();
+    const rows = OMRGrading.formatKeyAsRows(authored.key, authored.explanations, authored.meta);
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'Answer Key');
+    XLSX.writeFile(workbook, getAuthoredKeyFileName('xlsx'));
+}
+
+function saveAuthoredKeyJSON() {
+    const authored = getAuthoredKey();
+    if (!authored) return;
+    const data = OMRGrading.formatKeyAsJSON(authored.key, authored.explanations, authored.meta);
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = getAuthoredKeyFileName('json');
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// A printable key: the setup lines, then "1: A" in columns. Laid out so the PDF reader can read it back
+// (no notes - there's no room, and nowhere for the reader to find them)
+function saveAuthoredKeyPDF() {
+    const authored = getAuthoredKey();
+    if (!authored) return;
+    const { jsPDF } = window.jspdf;
+    const pdf = new jsPDF({ orientation: 'p', unit: 'mm', format: 'a4' });
+    const pageHeight = pdf.internal.pageSize.getHeight();
+    const margin = 15;
+    const rowHeight = 7;
+    const columns = 5;
+    const columnWidth = (pdf.internal.pageSize.getWidth() - margin * 2) / columns;
+
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(18);
+    pdf.text('Answer Key', margin, 22);
+    pdf.setFontSize(10);
+    let yPos = 32;
+    formatKeyMetadata(authored.meta).forEach(([label, value]) => {
+        pdf.setFont('helvetica', 'bold');
+        pdf.text(`${label}:`, margin, yPos);
+        pdf.setFont('helvetica', 'normal');
+        pdf.text(String(value), margin + pdf.getTextWidth(`${label}: `), yPos);
+        yPos += 6;
+    });
+    yPos += 6;
+
+    // Down each column, then across - a new page when the columns are full
+    pdf.setFontSize(11);
+    const lines = OMRGrading.formatKeyAsText(authored.key).split('\n');
+    let top = yPos;
+    let rowsPerColumn = Math.floor((pageHeight - margin - top) / rowHeight);
+    let index = 0;
+    while (index < lines.length) {
+        for (let column = 0; column < columns && index < lines.length; column++) {
+            for (let row = 0; row < rowsPerColumn && index < lines.length; row++, index++) {
+                const [q, answer] = lines[index].split(': ');
+                const x = margin + column * columnWidth;
+                const y = top + row * rowHeight;
+                pdf.setFont('helvetica', 'bold');
+                pdf.text(`${q}:`, x, y);
+                pdf.setFont('helvetica', 'normal');
+                pdf.text(answer, x + 12, y);
+            }
+        }
+        if (index < lines.length) {
+            pdf.addPage();
+            top = 20;
+            rowsPerColumn = Math.floor((pageHeight - margin - top) / rowHeight);
+        }
+    }
+    pdf.save(getAuthoredKeyFileName('pdf'));
+}
+
+// Done making the key - build the normal sheet for this setup with the key loaded, ready to check sheets
+// (fill it in, scan one, or grade a class)
+function useAuthoredKey() {
+    const { key, explanations, missing } = readAuthoredKey();
+    if (missing.length > 0) {
+        showError(authorError, `Q${formatQuestionList(missing)} ${missing.length === 1 ? 'has' : 'have'} no answer yet. Bubble one in, or make ${missing.length === 1 ? 'it' : 'them'} a bonus or drop ${missing.length === 1 ? 'it' : 'them'}.`);
+        return;
+    }
+    const count = totalQuestions;
+    generateOMRSheet();
+    if (keyAuthoring) return; // The setup above has a problem - its error is showing
+    if (totalQuestions !== count) {
+        showError(checkError, `The setup now has ${totalQuestions} questions but your key has ${count}, so it wasn't loaded. Put the question count back, or load the saved key file.`);
+        return;
+    }
+    storeAnswerKey(key, explanations, '');
+    showStatusMessage(`Your answer key is loaded (${totalQuestions} questions) and hidden until you submit. Fill in the sheet, scan one, or grade a class with it.`, 'success');
+    autosave();
+}
+
+// --- Answer Key Preview ---
+
+// Check parsed entries against the sheet: out of range, invalid answers, duplicates (first one wins) and gaps
+function validateKeyEntries(entries) {
+    return OMRGrading.validateKeyEntries(entries, totalQuestions);
+}
+
+// Show what we found so the user can check it before it's used.
+// The key is for the set picked under "This Key Is For", or else the one the file names (meta from loadAnswerKeyFile)
+function previewAnswerKey(entries, source, meta = {}) {
+    if (entries.length === 0) {
+        showError(checkError, `Could not find any answers in ${source}. Check the format info for what we can read.`);
+        return;
+    }
+    hideError(checkError);
+    pendingKey = { entries, source, set: keySetInput.value || meta.setCode || '' };
+    renderKeyPreview();
+    keyPreviewModal.classList.remove('hidden');
+}
+
+// (Re)draw the preview - again after each doubtful answer the user picks
+function renderKeyPreview() {
+    const { entries, source } = pendingKey;
+    const { key, explanations, rows, missing } = validateKeyEntries(entries);
+    const problems = rows.filter(row => row.problem);
+    const validCount = Object.keys(key).length;
+    pendingKey.key = key;
+    pendingKey.explanations = explanations;
+
+    // PDF and text keys say how sure we are of what we read
+    const confidence = OMRGrading.getKeyConfidence(entries);
+    const explained = Object.keys(explanations).length;
+    keyPreviewSummary.textContent = `Found ${entries.length} answers in ${source}. ${validCount} of ${totalQuestions} questions are ready to use.${explained > 0 ? ` ${explained} come with explanations for the report.` : ''}${confidence ? ` Read with ${confidence.percent}% confidence.` : ''}${pendingKey.set ? ` This key is for Set ${pendingKey.set}.` : ''}`;
+
+    // Summary of what's wrong, grouped by problem
+    const issues = [];
+    if (confidence && confidence.unsure.length > 0) {
+        issues.push(`Needs a look: ${confidence.unsure.map(entry => `Q${entry.q} (${entry.note})`).join(', ')} - pick the right answer in the table`);
     }
+    if (missing.length > 0) issues.push(`Missing: Q${formatQuestionList(missing)}`);
+    ['Duplicate', 'Out of range', 'Invalid answer'].forEach(kind => {
+        const found = problems.filter(row => row.problem.startsWith(kind));
+        if (found.length > 0) issues.push(`${kind}: ${found.map(row => `Q${row.q} (${row.raw || 'blank'})`).join(', ')}`);
+    });
+    keyPreviewIssues.innerHTML = issues.length > 0
+        ? issues.map(issue => `<li>${escapeHTML(issue)}</li>`).join('')
+        : '<li class="text-green-800">No problems found.</li>';
+
+    keyPreviewBody.innerHTML = rows.map((row, index) => `
+        <tr class="border-b border-white/20 ${row.problem && !row.skipped ? 'bg-red-100/40' : row.confidence < 1 ? 'bg-amber-100/40' : ''}">
+            <td class="p-2 font-bold">${Number.isNaN(row.q) ? '?' : row.q}</td>
+            <td class="p-2 font-mono">${escapeHTML(String(row.raw))}</td>
+            <td class="p-2 font-mono">${row.candidates ? getCandidateSelect(row, index) : row.answer ? escapeHTML(formatKeyAnswer(row.answer)) : '-'}</td>
+            <td class="p-2 font-bold ${row.problem ? 'text-red-700' : row.confidence < 1 ? 'text-amber-700' : 'text-green-700'}">${row.problem || (row.confidence < 1 ? escapeHTML(row.note) : 'OK')}</td>
+        </tr>`).join('');
+
+    keyPreviewAcceptBtn.disabled = validCount === 0;
+    keyPreviewAcceptBtn.classList.toggle('opacity-50', validCount === 0);
+}
+
+// A doubtful answer: choose between what we read, or leave the question out
+function getCandidateSelect(row, index) {
+    const choices = row.candidates.map(answer => `<option value="${escapeHTML(answer)}" ${!row.skipped && row.answer === answer ? 'selected' : ''}>${escapeHTML(formatKeyAnswer(answer))}</option>`);
+    return `<select class="glass-input p-1 rounded-lg" aria-label="Answer for question ${row.q}" onchange="resolveKeyEntry(${index}, this.value)">
+        ${choices.join('')}<option value="" ${row.skipped ? 'selected' : ''}>Leave out</option>
+    </select>`;
+}
+
+// The user settled a doubtful answer in the preview
+window.resolveKeyEntry = function(index, answer) {
+    const entry = pendingKey && pendingKey.entries[index];
+    if (!entry) return;
+    entry.skipped = !answer;
+    if (answer) entry.answer = answer;
+    entry.confidence = 1;
+    renderKeyPreview();
+}
+
+function acceptPendingKey() {
+    if (!pendingKey) return;
+    const { key, explanations, source, set } = pendingKey;
+    pendingKey = null;
+    keyPreviewModal.classList.add('hidden');
+    storeAnswerKey(key, explanations, set);
+    renderKeySets();
+    manualKeyInput.value = '';
+    hideError(checkError);
+    showStatusMessage(`${Object.keys(key).length} answers loaded from ${source}${set ? ` for Set ${set}` : ''}.`, 'success');
+    autosave();
+}
+
+function cancelPendingKey() {
+    pendingKey = null;
+    keyPreviewModal.classList.add('hidden');
+    fileUpload.value = '';
+    hideStatusMessage(); // Also puts the upload label back
 }
 
 // --- UI Utils ---
@@ -591,5 +4293,11 @@ function hideStatusMessage() {
     statusMessageEl.classList.add('hidden');
     document.querySelector('label[for="file-upload"]').textContent = 'Upload Answer Key';
 }
+// Make user-typed text safe to drop into innerHTML
+function escapeHTML(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
 function showFormatInfo() { formatModal.classList.remove('hidden'); }
 function hideFormatInfo() { formatModal.classList.add('hidden'); }
\ No newline at end of file
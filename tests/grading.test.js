@@ -0,0 +1,599 @@
+// Tests for the grading engine (grading.js). No browser needed - run them with:
+//   node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const grading = require('../grading.js');
+
+// A sheet setup like the app builds it, with whatever a test needs changed
+const setup = (overrides = {}) => ({
+    totalQuestions: 5,
+    optionCount: 4,
+    questionTypes: {},
+    correctMarks: null,
+    wrongMarks: null,
+    multiScheme: 'partial',
+    sections: [],
+    questionNumbers: null,
+    ...overrides,
+});
+
+// --- Key answers ---
+
+test('normalizeKeyAnswer cleans up single, multiple-correct and numeric answers', () => {
+    assert.equal(grading.normalizeKeyAnswer(' b '), 'B');
+    assert.equal(grading.normalizeKeyAnswer('C, A'), 'AC');
+    assert.equal(grading.normalizeKeyAnswer('a & c & a'), 'AC');
+    assert.equal(grading.normalizeKeyAnswer('12.50'), '12.5');
+    assert.equal(grading.normalizeKeyAnswer(-3), '-3');
+    assert.equal(grading.normalizeKeyAnswer('2.5 to 1.5'), '1.5..2.5');
+    assert.equal(grading.normalizeKeyAnswer('1.5-2.5'), '1.5..2.5');
+    assert.equal(grading.normalizeKeyAnswer('1.5~2.5'), '1.5..2.5');
+});
+
+test('normalizeKeyAnswer understands revised keys', () => {
+    assert.equal(grading.normalizeKeyAnswer('bonus'), 'BONUS');
+    assert.equal(grading.normalizeKeyAnswer('Dropped'), 'DROPPED');
+    assert.equal(grading.normalizeKeyAnswer('deleted'), 'DROPPED');
+    assert.equal(grading.normalizeKeyAnswer('A/C'), 'A/C');
+    assert.equal(grading.normalizeKeyAnswer('a or c'), 'A/C');
+    assert.equal(grading.normalizeKeyAnswer('A/A'), 'A');
+    assert.equal(grading.normalizeKeyAnswer('A/BONUS'), null);
+});
+
+test('normalizeKeyAnswer rejects letters the sheet does not have', () => {
+    assert.equal(grading.normalizeKeyAnswer('E'), null);
+    assert.equal(grading.normalizeKeyAnswer('E', 5), 'E');
+    assert.equal(grading.normalizeKeyAnswer('X'), null);
+    assert.equal(grading.normalizeKeyAnswer(''), null);
+    assert.equal(grading.normalizeKeyAnswer(null), null);
+});
+
+test('key answers format for the sheet and report', () => {
+    assert.equal(grading.formatKeyAnswer('AC'), 'A, C');
+    assert.equal(grading.formatKeyAnswer('1.5..2.5'), '1.5 to 2.5');
+    assert.equal(grading.formatKeyAnswer('A/BD'), 'A or B, D');
+    assert.equal(grading.formatKeyAnswer(undefined), '-');
+    assert.equal(grading.getKeyLetters('A/CD'), 'ACD');
+    assert.equal(grading.getKeyLetters('12'), '');
+    assert.equal(grading.getKeyNote('BONUS', 4), 'Bonus: +4 for answering');
+    assert.equal(grading.getKeyNote('BONUS', 0), 'Bonus: not answered, no marks');
+    assert.equal(grading.getKeyNote('DROPPED', 4), 'Dropped: +4 to everyone');
+    assert.equal(grading.getKeyNote('A/B', 4), 'Accepted: A or B');
+    assert.equal(grading.getKeyNote('A', 4), null);
+});
+
+test('normalizeResponse reads spreadsheet cells like the sheet does', () => {
+    assert.equal(grading.normalizeResponse(' c '), 'C');
+    assert.equal(grading.normalizeResponse('C,A', 'multi'), 'AC');
+    assert.equal(grading.normalizeResponse('AB'), 'AB'); // A double mark stays (and is marked wrong)
+    assert.equal(grading.normalizeResponse('-'), null);
+    assert.equal(grading.normalizeResponse(undefined), null);
+    assert.equal(grading.normalizeResponse('E'), null);
+    assert.equal(grading.normalizeResponse('12.5', 'numeric'), '12.5');
+    assert.equal(grading.normalizeResponse('twelve', 'numeric'), null);
+});
+
+// --- Answer key formats ---
+
+test('parseManualKey reads a run of letters or a separated list', () => {
+    assert.deepEqual(grading.parseManualKey('ABCD', 4), { key: { 1: 'A', 2: 'B', 3: 'C', 4: 'D' } });
+    assert.deepEqual(grading.parseManualKey('A, AC, 12, 1.5..2.5, BONUS', 5), {
+        key: { 1: 'A', 2: 'AC', 3: '12', 4: '1.5..2.5', 5: 'BONUS' },
+    });
+});
+
+test('parseManualKey explains what is wrong', () => {
+    assert.equal(grading.parseManualKey('ABC', 4).error, 'Manual key has 3 answers, but there are 4 questions.');
+    assert.equal(grading.parseManualKey('ABXD', 4).error, 'Answer 3 in the manual key ("X") isn\'t a valid option.');
+    assert.ok(grading.parseManualKey('ABCE', 4).error);
+    assert.deepEqual(grading.parseManualKey('ABCE', 4, 5).key[4], 'E');
+});
+
+test('parseAnswerKeyFromText finds the usual PDF notations', () => {
+    const entries = grading.parseAnswerKeyFromText('1. A 2: C 3 - B\n4. AC 5. A/B 6. B or D 7. BONUS 8 - Dropped 9: 12.5 10 = 1.5 to 2.5');
+    assert.deepEqual(entries.map(entry => [entry.q, entry.answer]), [
+        [1, 'A'], [2, 'C'], [3, 'B'], [4, 'AC'], [5, 'A/B'], [6, 'B/D'], [7, 'BONUS'], [8, 'DROPPED'], [9, '12.5'], [10, '1.5..2.5'],
+    ]);
+});
+
+test('parseAnswerKeyFromText skips text that only looks like answers', () => {
+    // Lowercase words, numbers with no ':' or '=', and letters that run into a word
+    assert.deepEqual(grading.parseAnswerKeyFromText('Page 2 of 10. Total 180 marks. 3 Answers follow'), []);
+    // Numeric answers need ':' or '=' - "Time 3 hours" must not become Q3 = 3
+    assert.deepEqual(grading.parseAnswerKeyFromText('Time 3 hours, 90 questions'), []);
+    // A question number can't start inside a decimal: no "Q1 = A" from "Version 2.1 A"
+    assert.deepEqual(grading.parseAnswerKeyFromText('Version 2.1 A'), []);
+    // Only the sheet's letters count
+    assert.deepEqual(grading.parseAnswerKeyFromText('1. E'), []);
+    assert.deepEqual(grading.parseAnswerKeyFromText('1. E', 5).map(entry => entry.answer), ['E']);
+});
+
+test('years, page numbers and labels are not question numbers', () => {
+    const text = 'JEE Main 2024 B\nPage 3 of 12 A\nSet 2 B  Paper 1 C  Time: 3 hours\n1. A 2. C\n2 / 10';
+    assert.deepEqual(grading.parseAnswerKeyFromText(text).map(entry => [entry.q, entry.answer]), [[1, 'A'], [2, 'C']]);
+});
+
+test('stray numbers that still get through are caught by validation', () => {
+    const entries = grading.parseAnswerKeyFromText('Batch 150 A\n1. A 2. C');
+    assert.deepEqual(entries.map(entry => entry.q), [1, 2, 150]);
+    const { key, rows } = grading.validateKeyEntries(entries, 2);
+    assert.deepEqual(key, { 1: 'A', 2: 'C' });
+    assert.equal(rows[2].problem, 'Out of range (sheet has 2)');
+});
+
+test('coaching-style notations: "Q1 (b)", "2) c", "3 - [a]", "4. (a, c)"', () => {
+    const entries = grading.parseAnswerKeyFromText('Q1 (b)  Q.2 c)  3 - [a]  4. (a, c)  5) D  Question 6: b  7 (B)');
+    assert.deepEqual(entries.map(entry => [entry.q, entry.answer, entry.confidence]), [
+        [1, 'B', 1], [2, 'C', 1], [3, 'A', 1], [4, 'AC', 1], [5, 'D', 1], [6, 'B', 1], [7, 'B', 1],
+    ]);
+});
+
+test('answers with nothing between them and the number are less certain', () => {
+    const entries = grading.parseAnswerKeyFromText('1 B  2 c  3 ABC Coaching');
+    assert.deepEqual(entries.map(entry => [entry.q, entry.answer, entry.confidence]), [[1, 'B', 1], [2, 'C', 0.5], [3, 'ABC', 0.5]]);
+    assert.equal(entries[1].note, 'Lowercase letter right after a number');
+    assert.deepEqual(entries[2].candidates, ['ABC']);
+});
+
+test('a question found twice keeps the first answer and lists both', () => {
+    const entries = grading.parseAnswerKeyFromText('1. A 2. B\n1. A 2. C');
+    assert.equal(entries.length, 2);
+    assert.deepEqual(entries[0], { q: 1, raw: 'A', answer: 'A', confidence: 1 });
+    assert.equal(entries[1].answer, 'B');
+    assert.equal(entries[1].confidence, 0);
+    assert.deepEqual(entries[1].candidates, ['B', 'C']);
+    assert.equal(entries[1].note, 'Found different answers: B or C');
+
+    const confidence = grading.getKeyConfidence(entries);
+    assert.equal(confidence.percent, 50);
+    assert.deepEqual(confidence.unsure.map(entry => entry.q), [2]);
+    assert.equal(grading.getKeyConfidence([{ q: 1, answer: 'A' }]), null);
+});
+
+test('parseAnswerKeyFromPlainText reads one answer per line', () => {
+    const text = 'Answer Key\nQ1) A\nQuestion 2: c\n3, B, BONUS\n4\tA\tC\n5 = 7';
+    assert.deepEqual(grading.parseAnswerKeyFromPlainText(text).map(entry => [entry.q, entry.answer]), [
+        [1, 'A'], [2, 'C'], [3, 'BONUS'], [4, 'A/C'], [5, '7'],
+    ]);
+});
+
+test('parseAnswerKeyFromPlainText reads "A, C" after a number as multiple correct, and columns as alternatives', () => {
+    const text = '1: A, C\n2. b, d\n3: C, BONUS\n4,A,C\n5\tB\tD';
+    assert.deepEqual(grading.parseAnswerKeyFromPlainText(text).map(entry => [entry.q, entry.answer]), [
+        [1, 'AC'], [2, 'BD'], [3, 'BONUS'], [4, 'A/C'], [5, 'B/D'],
+    ]);
+});
+
+test('parseAnswerKeyFromPlainText needs a separator before a number answer', () => {
+    // "12" is not Q1 = 2 - it's skipped like any other stray line
+    assert.deepEqual(grading.parseAnswerKeyFromPlainText('1. 12\n12\n2: 7\n3 4.5').map(entry => [entry.q, entry.answer]), [
+        [1, '12'], [2, '7'], [3, '4.5'],
+    ]);
+});
+
+test('parseAnswerKeyFromPlainText falls back to PDF patterns, then a run of answers', () => {
+    assert.deepEqual(grading.parseAnswerKeyFromPlainText('Answers - 1. A 2. B 3. C\nEnd of key').map(entry => entry.answer), ['A', 'B', 'C']);
+    assert.deepEqual(grading.parseAnswerKeyFromPlainText('ABCD').map(entry => [entry.q, entry.answer]), [[1, 'A'], [2, 'B'], [3, 'C'], [4, 'D']]);
+    assert.deepEqual(grading.parseAnswerKeyFromPlainText('A, AC, X').map(entry => entry.answer), ['A', 'AC', null]);
+});
+
+test('parseAnswerKeyFromExcel reads number, answer, status and explanation columns', () => {
+    const rows = [
+        ['Question', 'Answer', 'Status', 'Explanation'],
+        [1, 'A'],
+        [2, 'B', 'C'],
+        [3, 'D', 'Bonus'],
+        ['4', 12.5, null, ' Use v = u + at '],
+        [],
+        [5, 'Q'],
+    ];
+    const entries = grading.parseAnswerKeyFromExcel(rows);
+    assert.deepEqual(entries.map(entry => [entry.q, entry.answer]), [[1, 'A'], [2, 'B/C'], [3, 'BONUS'], [4, '12.5'], [5, null]]);
+    assert.equal(entries[1].raw, 'B | C');
+    assert.equal(entries[3].explanation, 'Use v = u + at');
+    assert.equal(entries[0].explanation, undefined);
+});
+
+test('parseAnswerKeyFromJSON understands maps, lists and question bank objects', () => {
+    assert.deepEqual(grading.parseAnswerKeyFromJSON({ 1: 'A', 2: 'c' }).map(entry => [entry.q, entry.answer]), [[1, 'A'], [2, 'C']]);
+    assert.deepEqual(grading.parseAnswerKeyFromJSON(['A', 'BD']).map(entry => [entry.q, entry.answer]), [[1, 'A'], [2, 'BD']]);
+
+    const bank = grading.parseAnswerKeyFromJSON([
+        { question: 3, answer: 'B', explanation: 'Newton' },
+        { q: 4, correct: 'A', status: 'dropped' },
+        { no: 5, key: 'A', solution: 'By symmetry' },
+    ]);
+    assert.deepEqual(bank.map(entry => [entry.q, entry.answer, entry.explanation]), [
+        [3, 'B', 'Newton'], [4, 'DROPPED', undefined], [5, 'A', 'By symmetry'],
+    ]);
+
+    const wrapped = grading.parseAnswerKeyFromJSON({ answers: { 1: 'A', 2: 'B' }, explanations: { 2: 'Because' } });
+    assert.deepEqual(wrapped.map(entry => [entry.q, entry.answer, entry.explanation]), [[1, 'A', undefined], [2, 'B', 'Because']]);
+    assert.deepEqual(grading.parseAnswerKeyFromJSON('ABCD'), []);
+});
+
+// PDF text pieces the way PDF.js gives them: x/y positions with y going up the page
+const pdfItem = (str, x, y) => ({ str, x, y, width: str.length * 6, height: 10 });
+
+test('parseAnswerKeyFromPDF reads multi-column tables row by row', () => {
+    const page = [
+        // Two columns, listed column by column like PDF.js often does
+        pdfItem('1.', 50, 700), pdfItem('A', 70, 700),
+        pdfItem('2.', 50, 685), pdfItem('(c)', 70, 685),
+        pdfItem('26.', 300, 701), pdfItem('B', 324, 701),
+        pdfItem('27.', 300, 686), pdfItem('d', 324, 686),
+        pdfItem('Page 1 of 2', 250, 40),
+    ];
+    const entries = grading.parseAnswerKeyFromPDF([page]);
+    assert.deepEqual(entries.map(entry => [entry.q, entry.answer]), [[1, 'A'], [2, 'C'], [26, 'B'], [27, 'D']]);
+});
+
+test('parseAnswerKeyFromPDF pairs a row of numbers with the answers under them', () => {
+    const page = [
+        pdfItem('Q. No.', 20, 500), pdfItem('1', 100, 500), pdfItem('2', 140, 500), pdfItem('3', 180, 500), pdfItem('4', 220, 500),
+        pdfItem('Ans', 20, 485), pdfItem('(b)', 97, 485), pdfItem('A', 140, 485), pdfItem('d', 180, 485), pdfItem('BONUS', 205, 485),
+    ];
+    assert.deepEqual(grading.parseAnswerKeyFromPDF([page]).map(entry => [entry.q, entry.answer]), [[1, 'B'], [2, 'A'], [3, 'D'], [4, 'BONUS']]);
+});
+
+test('parseAnswerKeyFromPDF joins pieces that touch', () => {
+    // "12" split into two pieces, then its answer
+    const page = [{ str: '1', x: 50, y: 300, width: 6, height: 10 }, { str: '2. C', x: 56, y: 300, width: 24, height: 10 }];
+    assert.deepEqual(grading.parseAnswerKeyFromPDF([page]).map(entry => [entry.q, entry.answer]), [[12, 'C']]);
+});
+
+test('validateKeyEntries flags duplicates, bad answers and gaps', () => {
+    const entries = [
+        { q: 1, raw: 'A', answer: 'A', explanation: 'First' },
+        { q: 1, raw: 'B', answer: 'B' },
+        { q: 2, raw: 'X', answer: null },
+        { q: 9, raw: 'C', answer: 'C' },
+        { q: NaN, raw: 'D', answer: 'D' },
+    ];
+    const { key, explanations, rows, missing } = grading.validateKeyEntries(entries, 4);
+    assert.deepEqual(key, { 1: 'A' });
+    assert.deepEqual(explanations, { 1: 'First' });
+    assert.deepEqual(rows.map(row => row.problem), [
+        null, 'Duplicate (first one kept)', 'Invalid answer', 'Out of range (sheet has 4)', 'Out of range (sheet has 4)',
+    ]);
+    assert.deepEqual(missing, [2, 3, 4]);
+
+    // Entries the user left out in the preview
+    const skipped = grading.validateKeyEntries([{ q: 1, raw: 'A', answer: 'A', skipped: true }], 1);
+    assert.equal(skipped.rows[0].problem, 'Left out');
+    assert.deepEqual(skipped.missing, [1]);
+});
+
+// --- Key metadata ---
+
+test('key files can carry the test setup', () => {
+    const lines = [
+        'Test: Mock 3',
+        'Correct Marks: 4',
+        'Wrong Marks, -1',
+        'Time Limit (minutes): 180',
+        'Options: 5',
+        'Question Types: 21-25 multi',
+        'Multiple-correct marking: all or nothing',
+        'Section: Physics, 1-30, 4, -1',
+        'Section: Chemistry 31-60 3 -1 25',
+        '1. A',
+    ];
+    assert.deepEqual(grading.parseKeyMetadataFromLines(lines), {
+        testName: 'Mock 3',
+        correctMarks: 4,
+        wrongMarks: -1,
+        duration: 180,
+        optionCount: 5,
+        questionTypes: '21-25 multi',
+        multiScheme: 'all',
+        sections: [
+            { name: 'Physics', from: 1, to: 30, correctMarks: 4, wrongMarks: -1, attemptLimit: null },
+            { name: 'Chemistry', from: 31, to: 60, correctMarks: 3, wrongMarks: -1, attemptLimit: 25 },
+        ],
+    });
+    assert.equal(grading.stripKeyMetadata('Correct Marks: 4\n1. A\n2. B'), '1. A\n2. B');
+    assert.deepEqual(grading.parseKeyMetadataFromRows([['Correct Marks', 4], [1, 'A'], ['Wrong Marks', -1]]), { correctMarks: 4, wrongMarks: -1 });
+});
+
+test('JSON keys can carry the test setup', () => {
+    const meta = grading.parseKeyMetadataFromJSON({
+        answers: { 1: 'A' },
+        title: 'Mock 4',
+        marking: { correct: 4, wrong: '-1' },
+        sections: [{ name: 'Maths', from: '1', to: 10, correct: 2, attemptLimit: 5 }],
+    });
+    assert.deepEqual(meta, {
+        testName: 'Mock 4',
+        correctMarks: 4,
+        wrongMarks: -1,
+        sections: [{ name: 'Maths', from: 1, to: 10, correctMarks: 2, wrongMarks: null, attemptLimit: 5 }],
+    });
+    assert.deepEqual(grading.parseKeyMetadataFromJSON(['A']), {});
+});
+
+test('a key can say which paper and set it is for', () => {
+    assert.deepEqual(grading.parseKeyMetadataFromLines(['Test Code: PHY-M3', 'Set: b', '1. A']), { testCode: 'PHY-M3', setCode: 'B' });
+    assert.deepEqual(grading.parseKeyMetadataFromRows([['Booklet Code', 'Set C'], [1, 'A']]), { setCode: 'C' });
+    assert.deepEqual(grading.parseKeyMetadataFromJSON({ answers: { 1: 'A' }, testCode: 'X1', set: 'd' }), { testCode: 'X1', setCode: 'D' });
+    // Only sets A-D - anything else means the key isn't for a particular set
+    assert.deepEqual(grading.parseKeyMetadataFromLines(['Set: E']), {});
+    assert.equal(grading.stripKeyMetadata('Set: A\n1. B'), '1. B');
+    assert.deepEqual(['A', 'set b', 'Booklet C', 'SERIES-D', '', 'AB', 'E', null].map(grading.normalizeSetCode), ['A', 'B', 'C', 'D', '', '', '', '']);
+});
+
+// --- Writing keys ---
+
+const authoredKey = { 1: 'A', 2: 'AC', 3: '12', 4: '1.5..2.5', 5: 'B/D', 6: 'BONUS', 7: 'DROPPED', 8: '-3', 9: '12/13' };
+const authoredMeta = {
+    testName: 'Mock 2 A',
+    testCode: 'PHY-M2',
+    setCode: 'B',
+    correctMarks: 4,
+    wrongMarks: -1,
+    duration: 180,
+    optionCount: 4,
+    questionTypes: '2 multi, 3-4 numeric, 8 numeric',
+    multiScheme: 'all',
+    sections: [
+        { name: 'Physics', from: 1, to: 4, correctMarks: null, wrongMarks: -2, attemptLimit: null },
+        { name: 'Part 2', from: 5, to: 8, correctMarks: 3, wrongMarks: null, attemptLimit: null },
+    ],
+};
+const keyOf = entries => Object.fromEntries(entries.map(entry => [entry.q, entry.answer]));
+
+test('a key written as Excel rows reads back with its explanations and setup', () => {
+    const rows = grading.formatKeyAsRows(authoredKey, { 2: 'Both forces act.' }, authoredMeta);
+    const entries = grading.parseAnswerKeyFromExcel(rows);
+    assert.deepEqual(keyOf(entries), authoredKey);
+    assert.equal(entries.find(entry => entry.q === 2).explanation, 'Both forces act.');
+    assert.deepEqual(grading.parseKeyMetadataFromRows(rows), authoredMeta);
+});
+
+test('a key written as text reads back as a text file, pasted text or a PDF', () => {
+    const text = grading.formatKeyAsText(authoredKey, authoredMeta);
+    assert.deepEqual(keyOf(grading.parseAnswerKeyFromPlainText(grading.stripKeyMetadata(text))), authoredKey);
+    // "Test: Mock 2 A" is a label, not question 2
+    const entries = grading.parseAnswerKeyFromText(text);
+    assert.deepEqual(keyOf(entries), authoredKey);
+    assert.ok(entries.every(entry => entry.confidence === 1));
+    assert.deepEqual(grading.parseKeyMetadataFromLines(text.split('\n')), authoredMeta);
+
+    // Printed one line under another, the way the PDF export lays it out
+    const page = text.split('\n').map((line, k) => pdfItem(line, 50, 780 - k * 17));
+    assert.deepEqual(keyOf(grading.parseAnswerKeyFromPDF([page])), authoredKey);
+    assert.deepEqual(grading.parseKeyMetadataFromPDF([page]), authoredMeta);
+});
+
+test('a key written as JSON reads back with its explanations and setup', () => {
+    const data = JSON.parse(JSON.stringify(grading.formatKeyAsJSON(authoredKey, { 1: 'Newton.' }, authoredMeta)));
+    const entries = grading.parseAnswerKeyFromJSON(data);
+    assert.deepEqual(keyOf(entries), authoredKey);
+    assert.equal(entries[0].explanation, 'Newton.');
+    assert.deepEqual(grading.parseKeyMetadataFromJSON(data), authoredMeta);
+});
+
+test('a key with no setup writes just the answers', () => {
+    assert.equal(grading.formatKeyAsText({ 2: 'B', 1: 'A' }), '1: A\n2: B');
+    assert.deepEqual(grading.formatKeyAsRows({ 1: 'A' }), [['Question', 'Answer', 'Status', 'Explanation'], [1, 'A', '', '']]);
+    assert.deepEqual(grading.formatKeyAsJSON({ 1: 'A' }), { answers: { 1: 'A' } });
+});
+
+// --- Sheet setup ---
+
+test('a sheet has between 1 and 500 questions', () => {
+    assert.equal(grading.MAX_QUESTIONS, 500);
+    assert.equal(grading.checkQuestionCount(1), null);
+    assert.equal(grading.checkQuestionCount(500), null);
+    assert.equal(grading.checkQuestionCount(501), 'Please enter a number between 1 and 500.');
+    assert.ok(grading.checkQuestionCount(0));
+    assert.ok(grading.checkQuestionCount(NaN));
+    assert.ok(grading.checkQuestionCount(2.5));
+});
+
+test('question types parse from the setup text and infer from a key', () => {
+    const { types } = grading.parseQuestionTypes('1-2 multi; 4 NUMERIC', 5);
+    assert.deepEqual(types, { 1: 'multi', 2: 'multi', 4: 'numeric' });
+    assert.match(grading.parseQuestionTypes('3-9 multi', 5).error, /within 1-5/);
+    assert.match(grading.parseQuestionTypes('some multi', 5).error, /Couldn't understand/);
+
+    const key = { 1: 'A', 2: 'AC', 3: 'BD', 4: '12', 5: '1..2', 6: 'A/B', 7: 'BONUS' };
+    assert.equal(grading.inferQuestionTypes(key, 7), '2-3 multi, 4-5 numeric');
+    assert.equal(grading.formatQuestionList([1, 2, 3, 7, 9, 10]), '1-3, 7, 9-10');
+});
+
+// --- Marking ---
+
+test('with no marking scheme every right answer is worth 1', () => {
+    const { questions, totals } = grading.gradeResponses({ 1: 'A', 2: 'B', 4: null }, { 1: 'A', 2: 'C', 3: 'D', 4: 'A', 5: 'B' }, setup());
+    assert.deepEqual(questions[1], { response: 'A', status: 'correct', marks: 1 });
+    assert.deepEqual(questions[2], { response: 'B', status: 'incorrect', marks: 0 });
+    assert.deepEqual(questions[3], { response: null, status: 'unanswered', marks: 0 });
+    assert.equal(totals.correct, 1);
+    assert.equal(totals.incorrect, 1);
+    assert.equal(totals.unanswered, 3);
+    assert.equal(totals.score, 1);
+    assert.equal(totals.maxScore, 5);
+});
+
+test('negative marking takes marks off for wrong answers only', () => {
+    const key = { 1: 'A', 2: 'B', 3: 'C', 4: 'D', 5: 'A' };
+    const responses = { 1: 'A', 2: 'B', 3: 'A', 4: 'A' };
+    const { totals } = grading.gradeResponses(responses, key, setup({ correctMarks: 4, wrongMarks: -1 }));
+    assert.equal(totals.gained, 8);
+    assert.equal(totals.lost, -2);
+    assert.equal(totals.score, 6);
+    assert.equal(totals.maxScore, 20);
+
+    // Everything wrong can go below zero
+    const { totals: worst } = grading.gradeResponses({ 1: 'B', 2: 'C' }, key, setup({ correctMarks: 4, wrongMarks: -1 }));
+    assert.equal(worst.score, -2);
+});
+
+test('a double mark on a single-answer question is wrong', () => {
+    const scheme = { correct: 4, wrong: -1 };
+    assert.deepEqual(grading.evaluateAnswer('AB', 'A', scheme, setup()), { status: 'incorrect', marks: -1 });
+});
+
+test('multiple-correct questions get a share per option, or nothing', () => {
+    const scheme = { correct: 4, wrong: -2 };
+    assert.deepEqual(grading.evaluateAnswer('ACD', 'ACD', scheme, setup()), { status: 'correct', marks: 4 });
+    assert.deepEqual(grading.evaluateAnswer('AC', 'ACD', scheme, setup()), { status: 'partial', marks: 2 });
+    // +1 per right option on a 5-option sheet too - the share comes from the marks, not the bubbles
+    assert.deepEqual(grading.evaluateAnswer('A', 'ACD', scheme, setup({ optionCount: 5 })), { status: 'partial', marks: 1 });
+    assert.deepEqual(grading.evaluateAnswer('ACE', 'ACDE', scheme, setup({ optionCount: 5 })), { status: 'partial', marks: 3 });
+    // Five right options: a fifth each, so four of them is still short of full marks
+    assert.deepEqual(grading.evaluateAnswer('ABCD', 'ABCDE', scheme, setup({ optionCount: 5 })), { status: 'partial', marks: 3.2 });
+    assert.deepEqual(grading.evaluateAnswer('AB', 'ACD', scheme, setup()), { status: 'incorrect', marks: -2 });
+    assert.deepEqual(grading.evaluateAnswer('AC', 'ACD', scheme, setup({ multiScheme: 'all' })), { status: 'incorrect', marks: -2 });
+});
+
+test('numeric answers match exactly or within a range', () => {
+    const scheme = { correct: 4, wrong: 0 };
+    assert.equal(grading.evaluateAnswer('12', '12', scheme, setup()).status, 'correct');
+    assert.equal(grading.evaluateAnswer('12.0', '12', scheme, setup()).status, 'correct');
+    assert.equal(grading.evaluateAnswer('12.1', '12', scheme, setup()).status, 'incorrect');
+    assert.equal(grading.evaluateAnswer('1.5', '1.5..2.5', scheme, setup()).status, 'correct');
+    assert.equal(grading.evaluateAnswer('2.6', '1.5..2.5', scheme, setup()).status, 'incorrect');
+    assert.equal(grading.evaluateAnswer(String(0.1 + 0.2), '0.3', scheme, setup()).status, 'correct');
+    assert.equal(grading.evaluateAnswer('abc', '12', scheme, setup()).status, 'incorrect');
+});
+
+test('revised keys: bonus, dropped and several accepted answers', () => {
+    const scheme = { correct: 4, wrong: -1 };
+    assert.deepEqual(grading.evaluateAnswer('C', 'BONUS', scheme, setup()), { status: 'bonus', marks: 4 });
+    assert.deepEqual(grading.evaluateAnswer(null, 'BONUS', scheme, setup()), { status: 'unanswered', marks: 0 });
+    assert.deepEqual(grading.evaluateAnswer(null, 'DROPPED', scheme, setup()), { status: 'bonus', marks: 4 });
+    assert.deepEqual(grading.evaluateAnswer('B', 'A/B', scheme, setup()), { status: 'correct', marks: 4 });
+    assert.deepEqual(grading.evaluateAnswer('C', 'A/B', scheme, setup()), { status: 'incorrect', marks: -1 });
+    // The best of the alternatives counts: a partial on one beats a wrong on the other
+    assert.deepEqual(grading.evaluateAnswer('A', 'AC/12', scheme, setup()), { status: 'partial', marks: 1 });
+    // No key answer for a question that was answered counts as wrong
+    assert.deepEqual(grading.evaluateAnswer('A', undefined, scheme, setup()), { status: 'incorrect', marks: -1 });
+});
+
+test('sections use their own marks and fall back to the global ones', () => {
+    const sections = [
+        { name: 'Physics', from: 1, to: 2, correctMarks: 4, wrongMarks: -1, attemptLimit: null },
+        { name: 'Maths', from: 3, to: 3, correctMarks: null, wrongMarks: 0, attemptLimit: null },
+    ];
+    const config = setup({ correctMarks: 3, wrongMarks: -2, sections });
+    assert.deepEqual(grading.getMarkingScheme(1, config), { correct: 4, wrong: -1 });
+    assert.deepEqual(grading.getMarkingScheme(3, config), { correct: 3, wrong: 0 });
+    assert.deepEqual(grading.getMarkingScheme(5, config), { correct: 3, wrong: -2 });
+    assert.equal(grading.hasMarkingScheme(setup()), false);
+    assert.equal(grading.hasMarkingScheme(setup({ sections })), true);
+
+    const result = grading.gradeResponses({ 1: 'A', 2: 'B', 3: 'B', 4: 'D' }, { 1: 'A', 2: 'A', 3: 'A', 4: 'D', 5: 'A' }, config);
+    assert.deepEqual(result.sections.map(group => [group.name, group.label, group.score, group.maxScore]), [
+        ['Physics', 'Q1-2', 3, 8],
+        ['Maths', 'Q3', 0, 3],
+        ['Other Questions', '2 Qs', 3, 6],
+    ]);
+    assert.equal(result.totals.score, 6);
+    assert.equal(result.totals.maxScore, 17);
+});
+
+test('"attempt any N" only marks the first N answered questions', () => {
+    const sections = [{ name: 'Optional', from: 1, to: 4, correctMarks: 4, wrongMarks: -1, attemptLimit: 2 }];
+    const result = grading.gradeResponses({ 1: 'A', 3: 'B', 4: 'A' }, { 1: 'A', 2: 'A', 3: 'A', 4: 'A' }, setup({ totalQuestions: 4, sections }));
+    assert.deepEqual([1, 2, 3, 4].map(i => result.questions[i].status), ['correct', 'unanswered', 'incorrect', 'ignored']);
+    assert.equal(result.questions[4].marks, 0);
+    assert.equal(result.totals.ignored, 1);
+    assert.equal(result.totals.score, 3);
+    assert.equal(result.sections[0].maxScore, 8);
+});
+
+test('a retry sheet labels sections with the original question numbers', () => {
+    const sections = [{ name: 'Biology', from: 1, to: 2, correctMarks: null, wrongMarks: null, attemptLimit: null }];
+    const groups = grading.getSectionGroups(setup({ totalQuestions: 3, sections, questionNumbers: [12, 15, 40] }));
+    assert.deepEqual(groups.map(group => [group.label, group.questions]), [['Q12-15', [1, 2]], ['1 Qs', [3]]]);
+});
+
+test('partial marks are rounded to two places', () => {
+    const key = { 1: 'ABCDE', 2: 'ABCDE', 3: 'ABCDE' };
+    const { totals } = grading.gradeResponses({ 1: 'A', 2: 'A', 3: 'A' }, key, setup({ totalQuestions: 3, correctMarks: 1, optionCount: 5 }));
+    assert.equal(totals.score, 0.6);
+    assert.equal(grading.roundMarks(0.1 + 0.2), 0.3);
+});
+
+test('a full 500-question sheet grades', () => {
+    const key = {};
+    const responses = {};
+    for (let i = 1; i <= grading.MAX_QUESTIONS; i++) {
+        key[i] = 'ABCD'[i % 4];
+        if (i % 2 === 0) responses[i] = 'A';
+    }
+    const { totals } = grading.gradeResponses(responses, key, setup({ totalQuestions: 500, correctMarks: 4, wrongMarks: -1 }));
+    assert.equal(totals.correct, 125);
+    assert.equal(totals.incorrect, 125);
+    assert.equal(totals.unanswered, 250);
+    assert.equal(totals.score, 375);
+    assert.equal(totals.maxScore, 2000);
+});
+
+test('a setup can leave out anything it does not use', () => {
+    const { totals, sections } = grading.gradeResponses({ 1: 'A' }, { 1: 'A', 2: 'B' }, { totalQuestions: 2 });
+    assert.equal(totals.score, 1);
+    assert.deepEqual(sections, []);
+});
+
+// --- Guessing analysis ---
+
+test('break-even accuracy for guessing', () => {
+    assert.equal(grading.getBreakEvenAccuracy({ correct: 4, wrong: -1 }), 0.2);
+    assert.equal(grading.getBreakEvenAccuracy({ correct: 3, wrong: -1 }), 0.25);
+    assert.equal(grading.getBreakEvenAccuracy({ correct: 1, wrong: 0 }), 0);
+    assert.equal(grading.getBreakEvenAccuracy({ correct: null, wrong: null }), 0);
+});
+
+test('the score with review-marked, guessed or unsure answers left blank', () => {
+    const key = { 1: 'A', 2: 'B', 3: 'C', 4: 'D', 5: 'A' };
+    const responses = { 1: 'A', 2: 'C', 3: 'C', 4: 'A', 5: null };
+    const flags = { review: { 2: true, 5: true }, confidence: { 1: 'sure', 2: 'guess', 3: 'unsure', 4: 'guess' } };
+    const analysis = grading.analyzeGuessing(responses, key, setup({ correctMarks: 4, wrongMarks: -1 }), flags);
+    assert.equal(analysis.score, 6);
+    assert.deepEqual(analysis.skips, [
+        { id: 'review', questions: [2], score: 7, change: 1 },
+        { id: 'guess', questions: [2, 4], score: 8, change: 2 },
+        { id: 'unsure', questions: [2, 3, 4], score: 4, change: -2 },
+    ]);
+    assert.deepEqual(analysis.confidence, [
+        { level: 'sure', answered: 1, right: 1, partial: 0, wrong: 0, marks: 4 },
+        { level: 'unsure', answered: 1, right: 1, partial: 0, wrong: 0, marks: 4 },
+        { level: 'guess', answered: 2, right: 0, partial: 0, wrong: 2, marks: -2 },
+    ]);
+});
+
+test('nothing flagged means no skip scenarios, and unsure is left out when it only repeats the guesses', () => {
+    const key = { 1: 'A', 2: 'B' };
+    const plain = grading.analyzeGuessing({ 1: 'A', 2: 'C' }, key, setup({ totalQuestions: 2, correctMarks: 4, wrongMarks: -1 }));
+    assert.deepEqual(plain.skips, []);
+    assert.deepEqual(plain.confidence, []);
+    const guessed = grading.analyzeGuessing({ 1: 'A', 2: 'C' }, key, setup({ totalQuestions: 2, correctMarks: 4, wrongMarks: -1 }), { confidence: { 2: 'guess' } });
+    assert.deepEqual(guessed.skips.map(skip => skip.id), ['guess']);
+});
+
+test('break-even per marking scheme, and the score under other schemes', () => {
+    const sections = [
+        { name: 'Physics', from: 1, to: 2, correctMarks: null, wrongMarks: null, attemptLimit: null },
+        { name: 'Chemistry', from: 3, to: 4, correctMarks: 3, wrongMarks: -1, attemptLimit: null },
+    ];
+    const key = { 1: 'A', 2: 'B', 3: 'C', 4: 'D' };
+    const responses = { 1: 'A', 2: 'A', 3: 'C', 4: 'A' };
+    const analysis = grading.analyzeGuessing(responses, key, setup({ totalQuestions: 4, correctMarks: 4, wrongMarks: -1, sections }));
+    assert.deepEqual(analysis.breakEven, [
+        { names: ['Physics'], correct: 4, wrong: -1, accuracy: 0.2 },
+        { names: ['Chemistry'], correct: 3, wrong: -1, accuracy: 0.25 },
+    ]);
+    assert.equal(analysis.score, 5);
+    assert.deepEqual(analysis.schemes, [
+        { label: '+4 / -1', score: 6, maxScore: 16, current: false },
+        { label: '+3 / -1', score: 4, maxScore: 12, current: false },
+        { label: 'No negative', score: 7, maxScore: 14, current: false },
+    ]);
+    const flat = grading.analyzeGuessing(responses, key, setup({ totalQuestions: 4, correctMarks: 4, wrongMarks: -1 }));
+    assert.deepEqual(flat.schemes.map(scheme => scheme.current), [true, false, false]);
+    assert.deepEqual(flat.breakEven, [{ names: ['All Questions'], correct: 4, wrong: -1, accuracy: 0.2 }]);
+});